@@ -0,0 +1,78 @@
+// Generates asyncapi.json from the message catalogue in protocol.js.
+// Run `npm run asyncapi` after changing a message definition and commit the result.
+
+const fs = require("fs");
+const path = require("path");
+const { PROTOCOL_VERSION, MESSAGES } = require("./protocol");
+
+// PR2A1/status/agv -> status_agv
+function key(topic) {
+    return topic.replace(/^PR2A1\//, "").replace(/\//g, "_");
+}
+
+function buildSpec() {
+    const channels = {};
+    const operations = {};
+    const messages = {};
+
+    Object.entries(MESSAGES).forEach(([topic, definition]) => {
+        const name = key(topic);
+
+        messages[name] = {
+            name: name,
+            summary: definition.summary,
+            contentType: "application/json",
+            payload: definition.payload
+        };
+        if (definition.legacy) {
+            messages[name].description = "Devices may still send the plain value instead of the JSON object.";
+        }
+
+        channels[name] = {
+            address: topic,
+            messages: {
+                [name]: { $ref: `#/components/messages/${name}` }
+            }
+        };
+
+        // Seen from the backend: it sends the actions and receives the line status
+        const action = definition.publisher === "backend" ? "send" : "receive";
+        operations[`${action}_${name}`] = {
+            action: action,
+            channel: { $ref: `#/channels/${name}` },
+            summary: definition.summary
+        };
+        if (definition.retained) {
+            operations[`${action}_${name}`].bindings = { mqtt: { retain: true } };
+        }
+    });
+
+    return {
+        asyncapi: "3.0.0",
+        info: {
+            title: "PR2A1 line protocol",
+            version: `${PROTOCOL_VERSION}.0.0`,
+            description: "MQTT messages exchanged between the ROBOInventory backend and the palletizing cell. " +
+                "Every payload carries the protocol version in `v`."
+        },
+        servers: {
+            broker: {
+                host: "localhost:1883",
+                protocol: "mqtt"
+            }
+        },
+        channels: channels,
+        operations: operations,
+        components: {
+            messages: messages
+        }
+    };
+}
+
+module.exports = { buildSpec };
+
+if (require.main === module) {
+    const output = path.join(__dirname, "asyncapi.json");
+    fs.writeFileSync(output, JSON.stringify(buildSpec(), null, 2) + "\n");
+    console.log(`✅ AsyncAPI spec written to ${output}`);
+}
@@ -0,0 +1,99 @@
+// Password hashing and signed session tokens.
+//
+// Passwords are stored as "salt:hash" using scrypt. Session tokens are
+// "<payload>.<signature>", where the payload is base64url JSON and the
+// signature an HMAC-SHA256 of it with the session secret. The token only
+// proves who issued it; the session row it points to decides whether it is
+// still valid, so logging out works before the token expires.
+//
+// QR codes printed on pallets are signed the same way: the label carries an
+// issue time and an HMAC of its fields, so a code cannot be made up or edited.
+
+const crypto = require('crypto');
+
+// Roles ordered from least to most privileged
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const KEY_LENGTH = 64;
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+    return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [salt, hash] = (stored || '').split(':');
+    if (!salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function signToken(payload, secret) {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${body}.${sign(body, secret)}`;
+}
+
+// Returns the payload, or null when the signature is wrong or the token expired
+function verifyToken(token, secret) {
+    const [body, signature] = (token || '').split('.');
+    if (!body || !signature) return null;
+
+    const expected = Buffer.from(sign(body, secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    } catch (error) {
+        return null;
+    }
+
+    if (payload.exp && payload.exp < Date.now()) return null;
+    return payload;
+}
+
+// Fields of a pallet QR code covered by its signature, in signing order
+const QR_FIELDS = ['id', 'lectura', 'cantidad', 'iat'];
+
+function signQrPayload(fields, secret) {
+    const payload = { ...fields, iat: fields.iat || Date.now() };
+    return { ...payload, sig: sign(qrSigningString(payload), secret) };
+}
+
+// True when the QR contents were issued with this secret and not changed since
+function verifyQrPayload(data, secret) {
+    if (!data || typeof data.sig !== 'string' || !data.iat) return false;
+
+    const expected = Buffer.from(sign(qrSigningString(data), secret));
+    const actual = Buffer.from(data.sig);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function qrSigningString(data) {
+    return QR_FIELDS.map(field => String(data[field] ?? '')).join('|');
+}
+
+function hasRole(role, required) {
+    return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+function sign(body, secret) {
+    return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+}
+
+module.exports = {
+    ROLES,
+    hashPassword,
+    verifyPassword,
+    signToken,
+    verifyToken,
+    signQrPayload,
+    verifyQrPayload,
+    hasRole
+};
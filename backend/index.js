@@ -1,56 +1,121 @@
 const express = require("express");
 const cors = require("cors");
 const bodyParser = require("body-parser");
-const pgp = require("pg-promise")();
+const pgp = require("pg-promise")({
+    // Count failed queries for /metrics
+    error: (error) => metrics.dbQueryErrors.inc({ code: error.code || 'unknown' })
+});
 const dotenv = require("dotenv");
 const mqtt = require("mqtt");
 const QRCode = require('qrcode');
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
+const { createOperation, transition, resumeOperation, reconcileOperation } = require('./lineStateMachine');
+const { ROLES, hashPassword, verifyPassword, signToken, verifyToken, signQrPayload, verifyQrPayload, hasRole } = require('./auth');
+const protocol = require('./protocol');
+const { labelPdf, labelSheetPdf } = require('./labels');
+const slotting = require('./slotting');
+const { migrate } = require('./migrate');
+const { parsePageQuery, fetchPage } = require('./pagination');
+const spreadsheet = require('./spreadsheet');
+const products = require('./products');
+const metrics = require('./metrics');
+const notifications = require('./notifications');
+const shipments = require('./shipments');
 
 dotenv.config();
 
 const app = express();
 const port = process.env.PORT || 3000;
-app.use(cors());
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
+app.use(metrics.httpMetrics);
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(bodyParser.json());
 
+// Calendar dates (DATE columns) stay YYYY-MM-DD strings instead of local midnights
+pgp.pg.types.setTypeParser(pgp.pg.types.builtins.DATE, value => value);
 const db = pgp({ connectionString: process.env.DATABASE_URL });
 const redirectURL = process.env.REDIRECT_URL;
 const MQTT_BROKER = process.env.MQTT_BROKER;
 const MQTT_USERNAME = process.env.MQTT_USERNAME;
 const MQTT_PASSWORD = process.env.MQTT_PASSWORD;
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS || 12);
+const DEFAULT_SHELF_LIFE_DAYS = 30;
+// Boxes on a pallet of a product that does not say how many it takes
+const DEFAULT_BOXES_PER_PALLET = parseInt(process.env.DEFAULT_BOXES_PER_PALLET || 12);
+const EXPIRY_WARNING_DAYS = parseInt(process.env.EXPIRY_WARNING_DAYS || 10);
+// Minutes between checks for expired stock, 0 turns the check off
+const EXPIRY_CHECK_MINUTES = parseInt(process.env.EXPIRY_CHECK_MINUTES || 60);
+// Time given to the broker to send the retained status topics after subscribing
+const RETAINED_STATUS_WAIT_MS = parseInt(process.env.RETAINED_STATUS_WAIT_MS || 2000);
+// Days of equipment telemetry kept for the analytics, 0 keeps everything
+const TELEMETRY_RETENTION_DAYS = parseInt(process.env.TELEMETRY_RETENTION_DAYS || 0);
+// Days a shipment takes to arrive when its route has no lead time of its own
+const DEFAULT_LEAD_TIME_DAYS = parseInt(process.env.DEFAULT_LEAD_TIME_DAYS || 7);
+const DELAY_CHECK_MINUTES = parseInt(process.env.DELAY_CHECK_MINUTES || 60);
+// Webhook and email deliveries: attempts before giving up, first retry delay (doubled
+// on every attempt) and how often due retries are looked for
+const NOTIFICATION_MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || 8);
+const NOTIFICATION_RETRY_SECONDS = parseInt(process.env.NOTIFICATION_RETRY_SECONDS || 30);
+const NOTIFICATION_POLL_SECONDS = parseInt(process.env.NOTIFICATION_POLL_SECONDS || 15);
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || 5000);
+const SMTP_FROM = process.env.SMTP_FROM || 'roboinventory@localhost';
+
+// Without a fixed secret every restart logs everybody out
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+    console.warn('⚠️ SESSION_SECRET is not set, sessions will not survive a restart');
+}
+
+// Key that signs the pallet QR codes, labels printed with another key are rejected.
+// Set during startup, see loadQrSecret.
+let qrSecret = null;
 
 // ---------------- CONNECTIONS ----------------
 
-// Ensure the database connection is established
+// Set at the end of the startup chain. Until then the almacenes and the saved line
+// state are not loaded, so the queues must not be dispatched.
+let backendReady = false;
+
+// Step of the startup chain being run, named in the error when it fails
+let startupStep = 'connecting to the database';
+
+// Ensure the database connection is established. The backend cannot work without any
+// of these steps, so it stops when one fails.
 db.connect()
     .then(() => {
         console.log("✅ Connected to the database");
 
-        // Add database migration for cantidad column
-        return db.none(`
-            DO $$ 
-            BEGIN
-                IF NOT EXISTS (
-                    SELECT 1 FROM information_schema.columns 
-                    WHERE table_name = 'reparto' AND column_name = 'cantidad'
-                ) THEN
-                    ALTER TABLE reparto ADD COLUMN cantidad INTEGER DEFAULT 12;
-                    RAISE NOTICE 'Added cantidad column to reparto table';
-                END IF;
-            END $$;
-        `)
-            .then(() => {
-                console.log("✅ Database schema is up-to-date");
-            })
-            .catch(error => {
-                console.error("❌ Error updating database schema:", error);
-            });
+        // Bring the schema to the latest version, see migrations/
+        startupStep = 'updating the database schema';
+        return migrate(db);
+    })
+    .then(() => {
+        console.log("✅ Database schema is up-to-date");
+        startupStep = 'loading the QR signing key';
+        return loadQrSecret();
+    })
+    .then(() => {
+        startupStep = 'creating the initial admin user';
+        return seedAdminUser();
+    })
+    .then(() => {
+        startupStep = 'loading the almacenes';
+        return loadAlmacenes();
+    })
+    .then(() => {
+        startupStep = 'restoring the line state';
+        return restoreLineState();
+    })
+    .then(() => {
+        backendReady = true;
+        startExpiryCheck();
+        startTelemetryPruning();
+        startNotifications();
     })
     .catch((error) => {
-        console.error("❌ Error connecting to the database:", error);
+        console.error(`❌ Error ${startupStep}:`, error);
         process.exit(1);
     });
 
@@ -65,32 +130,38 @@ let mqttConnected = false;
 mqttClient.on('connect', () => {
     console.log('✅ Connected to MQTT broker:', MQTT_BROKER);
     mqttConnected = true;
-    // Subscribe to all relevant topics
-    mqttClient.subscribe([
-        'PR2A1/avisos/parada_emergencia',
-        'PR2A1/status/conveyor_1',
-        'PR2A1/status/conveyor_2',
-        'PR2A1/status/infrarrojos_1',
-        'PR2A1/status/infrarrojos_2',
-        'PR2A1/status/agv',
-        'PR2A1/avisos/QR'
-    ], (err) => {
+    agvStatusReceived = false;
+    broadcastSystemStatus();
+    // Subscribe to every topic published by the line
+    mqttClient.subscribe(protocol.topicsPublishedBy('line'), (err) => {
         if (err) {
             console.error('❌ Error subscribing to topics:', err);
         } else {
             console.log('✅ Subscribed to all status topics');
+            scheduleReconciliation();
         }
     });
+
+    // Dispatch the jobs that were waiting for the broker. On the first connection
+    // restoreLineState does it once the startup chain gets there.
+    if (!backendReady) {
+        return;
+    }
+    processAllQueues().catch(error => {
+        console.error('❌ Error resuming operation queues:', error);
+    });
 });
 
 mqttClient.on('error', (error) => {
     console.error('❌ MQTT connection error:', error);
     mqttConnected = false;
+    broadcastSystemStatus();
 });
 
 mqttClient.on('offline', () => {
     console.log('⚠️ MQTT client offline');
     mqttConnected = false;
+    broadcastSystemStatus();
 });
 
 mqttClient.on('reconnect', () => {
@@ -101,7 +172,9 @@ mqttClient.on('reconnect', () => {
 
 // Global system state
 const systemState = {
-    emergencyStop: false,
+    // Centres under an emergency stop, by almacen: { activadaAt, origen, solicitante, operacion }
+    // where operacion is the operation the stop interrupted, held until it is resumed or rolled back
+    emergencyStops: {},
     conveyor1Status: 'Parado',
     conveyor2Status: 'Parado',
     infrared1Status: 0,
@@ -111,718 +184,3678 @@ const systemState = {
         estado: 'drop'  // Initial state: no pallet carried
     },
     pendingBoxes: 0,
-    currentOperation: null
+    currentOperation: null,
+    lastOperation: null
 };
 
 // MQTT message handler
-mqttClient.on('message', (topic, message) => {
-    const messageStr = message.toString();
-    console.log(`📨 Received MQTT message on ${topic}: ${messageStr}`);
+mqttClient.on('message', (topic, payload, packet) => {
+    console.log(`📨 Received MQTT message on ${topic}: ${payload.toString()}`);
+    metrics.mqttMessagesReceived.inc({ topic: topic });
+
+    let message;
+    try {
+        message = protocol.decode(topic, payload);
+    } catch (error) {
+        console.error(`⚠️ Rejected malformed MQTT message on ${error.message}`);
+
+        // Never ignore an emergency stop, whatever it looks like
+        if (topic !== 'PR2A1/avisos/parada_emergencia') {
+            return;
+        }
+        message = {};
+    }
+
+    // Retained messages repeat the last value, which was stored when it was first sent
+    if (topic.startsWith(TELEMETRY_PREFIX) && !packet.retain) {
+        recordTelemetry(topic.slice(TELEMETRY_PREFIX.length), message);
+    }
 
     // Handle different topics
     switch (topic) {
         case 'PR2A1/avisos/parada_emergencia':
-            // Any message to this topic triggers emergency stop
-            systemState.emergencyStop = true;
-            handleEmergencyStop();
+            // Any message to this topic stops the centre of the physical line
+            handleEmergencyStop(systemState.currentOperation?.almacen || getPhysicalAlmacen(), 'mqtt');
             break;
 
         case 'PR2A1/status/conveyor_1':
-            systemState.conveyor1Status = messageStr;
+            systemState.conveyor1Status = message.estado;
             break;
 
         case 'PR2A1/status/conveyor_2':
-            systemState.conveyor2Status = messageStr;
+            systemState.conveyor2Status = message.estado;
             break;
 
         case 'PR2A1/status/infrarrojos_1':
-            systemState.infrared1Status = parseInt(messageStr);
-            handleInfrared1StatusChange(parseInt(messageStr));
+            handleInfrared1StatusChange(message.valor);
             break;
 
         case 'PR2A1/status/infrarrojos_2':
-            systemState.infrared2Status = parseInt(messageStr);
-            handleInfrared2StatusChange(parseInt(messageStr));
+            handleInfrared2StatusChange(message.valor);
             break;
 
         case 'PR2A1/status/agv':
-            try {
-                const agvStatus = JSON.parse(messageStr);
-                console.log('AGV Status:', agvStatus);
-                systemState.agvStatus.ubicacion = agvStatus.ubicacion;
-                systemState.agvStatus.estado = agvStatus.estado;
-
-                // If we have a current operation and AGV has reached designated position
-                if (systemState.currentOperation &&
-                    systemState.currentOperation.agvTargetPosition === agvStatus.ubicacion) {
-                    handleAgvReachedPosition(agvStatus);
-                }
-            } catch (error) {
-                console.error('❌ Error parsing AGV status:', error);
+            systemState.agvStatus.ubicacion = message.ubicacion;
+            systemState.agvStatus.estado = message.estado;
+            agvStatusReceived = true;
+
+            // If we have a current operation and AGV has reached designated position
+            if (systemState.currentOperation &&
+                systemState.currentOperation.agvTargetPosition === message.ubicacion) {
+                handleAgvReachedPosition(message);
             }
             break;
+
         case 'PR2A1/avisos/QR':
-            try {
-                const qrData = JSON.parse(messageStr);
-                console.log('QR Code Data:', qrData);
-                handleQrCodeEntry(qrData)
-                    .catch(error => {
-                        console.error('❌ Error handling QR code:', error);
-                    });
-            } catch (error) {
-                console.error('❌ Error parsing QR code data:', error);
-            }
+            handleQrCodeEntry(message)
+                .catch(error => {
+                    console.error('❌ Error handling QR code:', error);
+                });
             break;
     }
+
+    // Sensor values and operation progress changed
+    broadcastSystemStatus();
 });
 
-// Emergency stop handler - stops all operations
-function handleEmergencyStop() {
-    console.log('🚨 EMERGENCY STOP ACTIVATED');
+// Emergency stop handler - stops every piece of equipment of the centre and holds
+// the operation running there until an operator resumes it or rolls it back
+function handleEmergencyStop(almacen, origen, solicitante = null) {
+    if (!almacen) {
+        console.error('🚨 Emergency stop received but there is no physical centre to stop');
+        return;
+    }
+    console.log(`🚨 EMERGENCY STOP ACTIVATED in ${almacen}`);
 
-    // Get almacen from current operation if available
-    const almacen = systemState.currentOperation?.almacen || "Vera";
+    let interrupted = systemState.currentOperation?.almacen === almacen ? systemState.currentOperation : null;
+    if (!interrupted && pendingReconciliation?.almacen === almacen) {
+        // Still waiting to be checked after a restart, the operator decides instead
+        interrupted = pendingReconciliation;
+        pendingReconciliation = null;
+    }
 
-    // Only send MQTT messages for Vera campus
-    if (almacen === "Vera") {
+    // Only send MQTT messages for physical centres
+    if (isPhysicalAlmacen(almacen)) {
         // Stop conveyor 1
-        publishMqttMessage('PR2A1/acciones/conveyor_1', JSON.stringify({
+        publishMqttMessage('PR2A1/acciones/conveyor_1', {
             accion: "parada"
-        }));
+        });
 
         // Stop conveyor 2
-        publishMqttMessage('PR2A1/acciones/conveyor_2', JSON.stringify({
+        publishMqttMessage('PR2A1/acciones/conveyor_2', {
             accion: "parada"
-        }));
+        });
 
         // Stop paletizaje
-        publishMqttMessage('PR2A1/acciones/paletizaje', JSON.stringify({
+        publishMqttMessage('PR2A1/acciones/paletizaje', {
             accion: "parada",
-            modo: systemState.currentOperation?.mode || "paletizar"
-        }));
+            modo: interrupted && interrupted.type !== 'entrada' ? "despaletizar" : "paletizar"
+        });
 
         // Stop cobot
-        publishMqttMessage('PR2A1/cobot/recogida', JSON.stringify({
+        publishMqttMessage('PR2A1/cobot/recogida', {
             accion: "parada"
-        }));
+        });
     } else {
-        // For non-Vera campuses, just log the simulation
+        // For simulated centres, just log the simulation
         console.log(`🔄 [Simulation ${almacen}] Would send MQTT messages to stop all equipment`);
     }
 
-    // Reset current operation
+    recordMovement({
+        tipo: 'parada_emergencia',
+        almacen: almacen,
+        lectura: interrupted?.productId,
+        location: interrupted?.position,
+        operacionId: interrupted?.jobId,
+        solicitante: solicitante,
+        detalle: interrupted ? {
+            operacion: interrupted.type,
+            phase: interrupted.phase,
+            pendingBoxes: interrupted.pendingBoxes
+        } : null
+    });
+
+    recordLineEvent('parada_emergencia', {
+        almacen: almacen,
+        operacion: interrupted,
+        detalle: { origen: origen, solicitante: solicitante }
+    });
+
+    notify('parada_emergencia', almacen, {
+        origen: origen,
+        solicitante: solicitante,
+        operacion: interrupted ? {
+            id: interrupted.jobId,
+            tipo: interrupted.type,
+            fase: interrupted.phase,
+            cajas_pendientes: interrupted.pendingBoxes
+        } : null
+    });
+
+    // A second stop keeps the operation held by the first one
+    const previous = systemState.emergencyStops[almacen];
+    systemState.emergencyStops[almacen] = {
+        activadaAt: new Date().toISOString(),
+        origen: origen,
+        solicitante: solicitante,
+        operacion: interrupted || previous?.operacion || null
+    };
+
+    // The job stays running in the database, sensor events are ignored until the reset
+    if (interrupted) {
+        console.log(`⏸️ Operation ${interrupted.jobId} (${interrupted.type}) held in phase ${interrupted.phase}`);
+        systemState.currentOperation = null;
+        systemState.pendingBoxes = 0;
+    }
+    broadcastSystemStatus();
+}
+
+function isEmergencyStopped(almacen) {
+    return Boolean(systemState.emergencyStops[almacen]);
+}
+
+// Continue the held operation from the phase it was in
+function resumeInterruptedOperation(operation) {
+    console.log(`▶️ Resuming operation ${operation.jobId} (${operation.type}) in phase ${operation.phase}`);
+    const { operation: resumed, commands } = resumeOperation(operation);
+    applyOperationUpdate(resumed, commands);
+}
+
+// Undo what the held operation had not physically done. An entrada gives up its
+// slot (the pallet is taken off the line), an exit keeps the pallet in its slot
+// minus the boxes that had already left on conveyor 2.
+async function rollbackInterruptedOperation(operation) {
+    const picked = operation.type === 'entrada' ? 0 : operation.cantidad - operation.pendingBoxes;
+    const job = await closeJob(
+        operation.jobId,
+        'cancelled',
+        picked > 0
+            ? `Rolled back after emergency stop, ${picked} boxes had already left`
+            : 'Rolled back after emergency stop'
+    );
+    if (!job) {
+        return;
+    }
+
+    if (job.tipo === 'entrada') {
+        await releaseEntrada(job);
+    } else if (picked > 0) {
+        await applyExit(job, picked);
+    }
+}
+
+// Start a new line operation and send the commands for its first phase
+function startOperation(details) {
+    const { operation, commands } = createOperation(details);
+
+    // Simulated centres have no physical line, so the operation completes right away
+    if (!isPhysicalAlmacen(operation.almacen)) {
+        console.log(`🔄 [Simulation ${operation.almacen}] Operation ${operation.type} at position ${operation.position} completed`);
+        completeOperation({ ...operation, phase: 'done' });
+        return;
+    }
+
+    applyOperationUpdate(operation, commands);
+}
+
+// Store the new operation state and publish the commands of the transition
+function applyOperationUpdate(operation, commands) {
+    commands.forEach(({ topic, payload }) => {
+        publishMqttMessage(topic, payload, operation.almacen);
+    });
+
+    if (operation.phase !== systemState.currentOperation?.phase) {
+        console.log(`⚙️ Operation ${operation.type} entering phase ${operation.phase} (${operation.pendingBoxes} boxes pending)`);
+        recordLineEvent('fase', { operacion: operation, detalle: { pendingBoxes: operation.pendingBoxes } });
+    }
+
+    if (operation.phase === 'done') {
+        completeOperation(operation);
+        return;
+    }
+
+    systemState.currentOperation = operation;
+    systemState.pendingBoxes = operation.pendingBoxes;
+    broadcastSystemStatus();
+}
+
+// Mark the operation as done and free the line
+function completeOperation(operation) {
+    console.log(`✅ Operation ${operation.type} for product ${operation.productId} at position ${operation.position} completed`);
+
+    systemState.lastOperation = {
+        ...operation,
+        completedAt: new Date().toISOString()
+    };
+    recordLineEvent('fin', { operacion: operation });
     systemState.currentOperation = null;
     systemState.pendingBoxes = 0;
+    broadcastSystemStatus();
+
+    if (operation.jobId) {
+        finishJob(operation.jobId, 'done');
+    }
 }
 
-// Fix the QR code entrada handler
-app.post("/api/qr-entrada", bodyParser.json(), async (req, res) => {
-    console.log("Received QR code data:", req.body);
+// Infrared 1 detects boxes arriving on conveyor 1 (entrada)
+function handleInfrared1StatusChange(value) {
+    const previous = systemState.infrared1Status;
+    systemState.infrared1Status = value;
 
-    try {
-        // Extract data from QR code 
-        let { id } = req.body;
+    if (systemState.currentOperation) {
+        const { operation, commands } = transition(systemState.currentOperation, {
+            source: 'infrarrojos_1',
+            value: value,
+            previous: previous
+        });
+        applyOperationUpdate(operation, commands);
+    }
+}
 
-        if (!id) {
-            console.error("Missing id in QR code");
-            return res.status(400).json({ error: "Missing id in QR code" });
-        }
+// Infrared 2 detects boxes leaving on conveyor 2 (salidas)
+function handleInfrared2StatusChange(value) {
+    const previous = systemState.infrared2Status;
+    systemState.infrared2Status = value;
 
-        // Check if product exists and get warehouse information
-        const product = await db.oneOrNone('SELECT lectura, almacen, cantidad FROM reparto WHERE id = $1', [id]);
-        if (!product) {
-            console.error(`Product with code ${id} not found`);
-            return res.status(404).json({ error: `Product with code ${id} not found` });
-        }
+    if (systemState.currentOperation) {
+        const { operation, commands } = transition(systemState.currentOperation, {
+            source: 'infrarrojos_2',
+            value: value,
+            previous: previous
+        });
+        applyOperationUpdate(operation, commands);
+    }
+}
 
-        const almacen = product.almacen;
-        const cantidad = parseInt(product.cantidad || 12); // Parse to integer
+// AGV arrived at the position the current operation is waiting for
+function handleAgvReachedPosition(agvStatus) {
+    const { operation, commands } = transition(systemState.currentOperation, {
+        source: 'agv',
+        ubicacion: agvStatus.ubicacion,
+        estado: agvStatus.estado
+    });
+    applyOperationUpdate(operation, commands);
+}
 
-        // Find available location in warehouse specific to this almacen
-        const usedLocations = await db.any(
-            "SELECT location FROM reparto WHERE location IS NOT NULL AND almacen = $1",
-            [almacen]
-        );
+// ---------------- LINE STATE ----------------
+
+// Operation found running by the previous backend process, waiting for the retained
+// status of the line before deciding whether it can go on
+let pendingReconciliation = null;
+let reconciliationTimer = null;
+// Whether the AGV reported its status since the last connection to the broker
+let agvStatusReceived = false;
+
+// Saving starts once the saved state has been read back
+let lineStateReady = false;
+// Set once the stops and the operations left running by the previous process are known
+let lineStateRestored = false;
+let lineStateSaving = null;
+let lineStateDirty = false;
+
+// Parts of systemState kept across restarts. Conveyors and sensors are not saved:
+// the broker sends their retained status topics when the backend subscribes again.
+function savedLineState() {
+    return {
+        emergencyStops: systemState.emergencyStops,
+        currentOperation: systemState.currentOperation,
+        agvStatus: systemState.agvStatus,
+        lastOperation: systemState.lastOperation
+    };
+}
 
-        console.log(`Used locations in warehouse ${almacen}:`, usedLocations);
+// Write the line state, changes made while a write is in progress go in the next one
+function saveLineState() {
+    if (!lineStateReady) {
+        return;
+    }
+    if (lineStateSaving) {
+        lineStateDirty = true;
+        return;
+    }
 
-        // Convert to a set of numbers for easy lookup
-        const usedLocationSet = new Set(
-            usedLocations.map((row) => parseInt(row.location))
-        );
+    lineStateSaving = db.none(
+        `INSERT INTO estado_linea (id, estado, updated_at) VALUES (1, $1, NOW())
+         ON CONFLICT (id) DO UPDATE SET estado = EXCLUDED.estado, updated_at = NOW()`,
+        [savedLineState()]
+    )
+        .catch(error => {
+            console.error('❌ Error saving line state:', error);
+        })
+        .finally(() => {
+            lineStateSaving = null;
+            if (lineStateDirty) {
+                lineStateDirty = false;
+                saveLineState();
+            }
+        });
+}
 
-        console.log(`Used locations for ${almacen}:`, usedLocationSet);
+// Record a transition of the line, see /api/system-status/history
+function recordLineEvent(evento, { almacen, operacion, detalle } = {}) {
+    db.none(
+        `INSERT INTO estado_linea_historial (evento, almacen, operacion_id, fase, detalle)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [evento, almacen || operacion?.almacen || null, operacion?.jobId || null, operacion?.phase || null, detalle || null]
+    ).catch(error => {
+        console.error(`❌ Error recording line event ${evento}:`, error);
+    });
+}
 
-        // Find first available location between 1-5 for this almacen
-        let availablePosition = null;
-        for (let i = 1; i <= 5; i++) {
-            if (!usedLocationSet.has(i)) {
-                availablePosition = i;
-                break;
-            }
+// Read back the state saved by the previous process and deal with the jobs it left
+// running. Simulated jobs simply complete; the physical one is checked against the
+// line once the broker has sent the retained status topics.
+async function restoreLineState() {
+    const row = await db.oneOrNone("SELECT estado FROM estado_linea WHERE id = 1");
+    const saved = row ? row.estado : {};
+
+    systemState.emergencyStops = saved.emergencyStops || {};
+    systemState.lastOperation = saved.lastOperation || null;
+    if (saved.agvStatus) {
+        systemState.agvStatus = saved.agvStatus;
+    }
+    lineStateReady = true;
+
+    // Operations held by an emergency stop keep waiting for the operator
+    const held = new Set(
+        Object.values(systemState.emergencyStops)
+            .filter(stop => stop.operacion)
+            .map(stop => stop.operacion.jobId)
+    );
+
+    const running = await db.any("SELECT * FROM operacion WHERE status = 'running' ORDER BY started_at, id");
+    for (const job of running) {
+        if (held.has(job.id)) {
+            console.log(`⏸️ Operation ${job.id} is still held by the emergency stop of ${job.almacen}`);
+            continue;
+        }
+        if (!isPhysicalAlmacen(job.almacen)) {
+            console.log(`🔄 [Simulation ${job.almacen}] Completing operation ${job.id} interrupted by the restart`);
+            startOperation(operationDetails(job));
+            continue;
         }
 
-        if (availablePosition === null) {
-            console.error(`No available positions in warehouse ${almacen}`);
-            return res.status(400).json({ error: `No available positions in warehouse ${almacen}` });
+        const operation = saved.currentOperation?.jobId === job.id ? saved.currentOperation : null;
+        if (operation && !pendingReconciliation) {
+            console.log(`⏳ Operation ${job.id} was in phase ${operation.phase} when the backend stopped, waiting for the line status`);
+            pendingReconciliation = operation;
+        } else {
+            holdForReview(createOperation(operationDetails(job)).operation, 'The progress of the operation was not saved');
         }
+    }
 
-        // Store the entry operation in the system state
-        systemState.currentOperation = {
-            type: 'entrada',
-            position: availablePosition,
-            cantidad: cantidad,
-            productId: id,
-            almacen: almacen,
-            phase: 'picking_from_storage',
-            agvTargetPosition: availablePosition
-        };
+    lineStateRestored = true;
+    broadcastSystemStatus();
+    scheduleReconciliation();
+    await processAllQueues();
+}
 
-        // Set pending boxes
-        systemState.pendingBoxes = cantidad;
+// Check the pending operation a while after subscribing, once the retained topics are in
+function scheduleReconciliation() {
+    if (!pendingReconciliation || !mqttConnected || reconciliationTimer) {
+        return;
+    }
+    reconciliationTimer = setTimeout(reconcileLine, RETAINED_STATUS_WAIT_MS);
+}
 
-        // Only send MQTT messages for Vera campus
-        if (almacen === "Vera") {
-            // Publish directive with the quantity
-            publishMqttMessage('PR2A1/acciones/directriz', `{"accion": "entrada", "cantidad": "${cantidad}", "posicion": "${availablePosition}"}`
-            );
-            console.log(`✅ Physical automation started for Vera warehouse at position ${availablePosition} with ${cantidad} boxes`);
-        } else {
-            // For non-Vera campuses, just log the simulation
-            console.log(`🔄 [Simulation ${almacen}] Would send MQTT messages to start picking pallet at position ${availablePosition} with ${cantidad} boxes`);
-        }
+// Resume the operation saved by the previous process when the AGV is where it should
+// be, otherwise hold it for an operator
+function reconcileLine() {
+    reconciliationTimer = null;
+    const operation = pendingReconciliation;
+    if (!operation) {
+        return;
+    }
+    pendingReconciliation = null;
 
-        // Modify the database to set the location for the product, as well as the timestamp_recepcion
-        await db.none(
-            "UPDATE reparto SET location = $1, timestamp_recepcion = NOW() WHERE id = $2",
-            [availablePosition, id]
-        );
-        console.log(`✅ Product ${id} assigned to location ${availablePosition} in ${almacen} warehouse`);
+    const { resume, reason } = reconcileOperation(operation, agvStatusReceived ? systemState.agvStatus : null);
+    if (!resume) {
+        holdForReview(operation, reason);
+        broadcastSystemStatus();
+        return;
+    }
 
-        return res.status(200).json({
-            success: true,
-            location: availablePosition,
-            cantidad: cantidad,
-            message: `Product assigned to location ${availablePosition}`
+    console.log(`▶️ Operation ${operation.jobId} (${operation.type}) resumed after the restart in phase ${operation.phase}`);
+    recordLineEvent('reinicio', {
+        operacion: operation,
+        detalle: { resultado: 'reanudada', agv: { ...systemState.agvStatus } }
+    });
+    systemState.currentOperation = operation;
+
+    // The AGV may have reached its target while the backend was down
+    const { operation: next, commands } = transition(operation, { source: 'agv', ...systemState.agvStatus });
+    applyOperationUpdate(next, commands);
+}
+
+// Hold an operation whose progress cannot be trusted the way an emergency stop does,
+// without stopping the equipment, so an operator resumes or rolls it back
+function holdForReview(operation, motivo) {
+    console.warn(`⚠️ Operation ${operation.jobId} (${operation.type}) needs review: ${motivo}`);
+
+    systemState.emergencyStops[operation.almacen] = {
+        activadaAt: new Date().toISOString(),
+        origen: 'reinicio',
+        solicitante: null,
+        motivo: motivo,
+        operacion: operation
+    };
+    recordLineEvent('reinicio', { operacion: operation, detalle: { resultado: 'revision', motivo: motivo } });
+
+    db.none("UPDATE operacion SET error = $2 WHERE id = $1", [operation.jobId, `Needs review: ${motivo}`])
+        .catch(error => {
+            console.error(`❌ Error flagging operation ${operation.jobId}:`, error);
         });
+}
+
+// ---------------- MONITORING ----------------
 
+// Longest wait for a dependency before /readyz reports it down
+const READY_TIMEOUT_MS = parseInt(process.env.READY_TIMEOUT_MS || 2000);
+
+// Liveness: the process is up and serving requests
+app.get("/healthz", (req, res) => {
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// Readiness: the startup chain is done, Postgres answers and the MQTT broker is connected
+app.get("/readyz", async (req, res) => {
+    const started = Date.now();
+    let postgres;
+    try {
+        await Promise.race([
+            db.one("SELECT 1"),
+            new Promise((resolve, reject) => setTimeout(() => reject(new Error(`No answer in ${READY_TIMEOUT_MS} ms`)), READY_TIMEOUT_MS))
+        ]);
+        postgres = { status: 'up', latency_ms: Date.now() - started };
     } catch (error) {
-        console.error('Error processing QR code entry:', error);
-        return res.status(500).json({ error: "Error processing QR code entry" });
+        postgres = { status: 'down', error: error.message };
     }
+    const mqttCheck = mqttConnected ? { status: 'up' } : { status: 'down', error: 'Not connected to the MQTT broker' };
+    // The queues are not dispatched until the schema, the almacenes and the line state are loaded
+    const startup = backendReady ? { status: 'up' } : { status: 'down', error: `Still ${startupStep}` };
+
+    const ready = startup.status === 'up' && postgres.status === 'up' && mqttCheck.status === 'up';
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : 'not_ready',
+        checks: { startup: startup, postgres: postgres, mqtt: mqttCheck }
+    });
 });
 
-// Fix the handleQrCodeEntry function to ensure numeric values
-async function handleQrCodeEntry(qrData) {
-    console.log("Received QR code data:", qrData);
+// Read the queue depth and the stock of every centre into their gauges
+async function updateStockMetrics() {
+    const [queues, stock] = await Promise.all([
+        db.any(
+            `SELECT almacen, status, COUNT(*)::int AS jobs
+             FROM operacion
+             WHERE status IN ('queued', 'running')
+             GROUP BY almacen, status`
+        ),
+        db.any(
+            `SELECT almacen, COUNT(*)::int AS pallets, COALESCE(SUM(cantidad), 0)::int AS boxes
+             FROM reparto
+             WHERE location IS NOT NULL
+             GROUP BY almacen`
+        )
+    ]);
+
+    // Centres without jobs or stock report 0 instead of disappearing
+    metrics.queueDepth.reset();
+    metrics.stockPallets.reset();
+    metrics.stockBoxes.reset();
+    [...almacenes.keys()].forEach(almacen => {
+        ['queued', 'running'].forEach(status => metrics.queueDepth.set({ almacen, status }, 0));
+        metrics.stockPallets.set({ almacen }, 0);
+        metrics.stockBoxes.set({ almacen }, 0);
+    });
+    queues.forEach(row => metrics.queueDepth.set({ almacen: row.almacen, status: row.status }, row.jobs));
+    stock.forEach(row => {
+        metrics.stockPallets.set({ almacen: row.almacen }, row.pallets);
+        metrics.stockBoxes.set({ almacen: row.almacen }, row.boxes);
+    });
+}
 
+// Prometheus scrape endpoint
+app.get("/metrics", async (req, res) => {
+    metrics.mqttConnected.set(mqttConnected ? 1 : 0);
     try {
-        let parsedData;
+        await updateStockMetrics();
+    } catch (error) {
+        // Still serve the other metrics, the failed query is counted in db_query_errors_total
+        console.error("❌ Error reading stock metrics:", error);
+    }
 
-        // Handle case when QR data comes with 'QR Code' wrapper
-        if (qrData['QR Code']) {
-            try {
-                parsedData = JSON.parse(qrData['QR Code']);
-                console.log("Parsed QR code data:", parsedData);
-            } catch (e) {
-                console.error("Failed to parse 'QR Code' content:", e);
-                return;
-            }
-        } else {
-            // Use as-is if it's already in the expected format
-            parsedData = qrData;
-        }
+    res.set('Content-Type', metrics.registry.contentType);
+    res.send(await metrics.registry.metrics());
+});
 
-        // Extract data from QR code 
-        const { id, cantidad: qrCantidad, lectura } = parsedData;
-        const cantidad = parseInt(qrCantidad || 12); // Parse to integer
+// ---------------- AUTHENTICATION ----------------
 
-        if (!id && !lectura) {
-            console.error("Missing id or lectura in QR code");
-            return;
-        }
+// Create the first admin from ADMIN_USER / ADMIN_PWD when there are no users yet
+async function seedAdminUser() {
+    const { count } = await db.one("SELECT COUNT(*)::int AS count FROM usuario");
+    if (count > 0) {
+        return;
+    }
 
-        // Determine how to look up the product based on available data
-        let product;
-        if (id) {
-            product = await db.oneOrNone('SELECT lectura, almacen FROM reparto WHERE id = $1', [id]);
-        } else {
-            product = await db.oneOrNone('SELECT lectura, almacen FROM reparto WHERE lectura = $1', [lectura]);
-        }
+    const username = process.env.ADMIN_USER || 'admin';
+    if (!process.env.ADMIN_PWD) {
+        console.warn('⚠️ No users exist and ADMIN_PWD is not set, nobody will be able to log in');
+        return;
+    }
 
-        if (!product) {
-            console.error(`Product not found with ${id ? 'ID ' + id : 'lectura ' + lectura}`);
-            return;
-        }
+    await db.none(
+        "INSERT INTO usuario (username, password_hash, rol) VALUES ($1, $2, 'admin')",
+        [username, hashPassword(process.env.ADMIN_PWD)]
+    );
+    console.log(`✅ Created initial admin user ${username}`);
+}
 
-        const almacen = product.almacen;
+// Printed labels stay valid as long as the key does, so without QR_SECRET one is
+// generated on the first start and kept in the database
+async function loadQrSecret() {
+    if (process.env.QR_SECRET) {
+        qrSecret = process.env.QR_SECRET;
+        return;
+    }
 
-        // Find available location in warehouse specific to this almacen
-        const usedLocations = await db.any(
-            "SELECT location FROM reparto WHERE location IS NOT NULL AND almacen = $1",
-            [almacen]
-        );
+    await db.none(
+        "INSERT INTO clave_firma (id, secreto) VALUES ('qr', $1) ON CONFLICT (id) DO NOTHING",
+        [crypto.randomBytes(32).toString('hex')]
+    );
+    ({ secreto: qrSecret } = await db.one("SELECT secreto FROM clave_firma WHERE id = 'qr'"));
+    console.log('✅ QR codes are signed with the key stored in the database');
+}
 
-        console.log(`Used locations in warehouse ${almacen}:`, usedLocations);
+// Resolve the Bearer token of the request to its user, or null
+async function authenticate(req) {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return null;
+    }
 
-        // Convert to a set of numbers for easy lookup
-        const usedLocationSet = new Set(
-            usedLocations.map((row) => parseInt(row.location))
-        );
+    return sessionUser(authHeader.substring(7));
+}
 
-        console.log(`Used locations for ${almacen}:`, usedLocationSet);
+// User of a valid, not revoked session token, or null
+async function sessionUser(token) {
+    const payload = verifyToken(token, SESSION_SECRET);
+    if (!payload) {
+        return null;
+    }
 
-        // Find first available location between 1-5 for this almacen
-        let availablePosition = null;
-        for (let i = 1; i <= 5; i++) {
-            if (!usedLocationSet.has(i)) {
-                availablePosition = i;
-                break;
+    return db.oneOrNone(
+        `SELECT u.id, u.username, u.rol, s.id AS session_id
+         FROM sesion s
+         JOIN usuario u ON u.id = s.usuario_id
+         WHERE s.id = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+        [payload.sid]
+    );
+}
+
+// Middleware: only let through users with at least the given role
+function requireRole(role) {
+    return async (req, res, next) => {
+        try {
+            const user = await authenticate(req);
+            if (!user) {
+                return res.status(401).json({ error: "Authentication required" });
+            }
+            if (!hasRole(user.rol, role)) {
+                return res.status(403).json({ error: `This action requires the ${role} role` });
             }
-        }
 
-        if (availablePosition === null) {
-            console.error(`No available positions in warehouse ${almacen}`);
-            return;
+            req.user = user;
+            next();
+        } catch (error) {
+            console.error("Error authenticating request:", error);
+            res.status(500).json({ error: "Error authenticating request" });
         }
+    };
+}
 
-        // Store the entry operation in the system state
-        systemState.currentOperation = {
-            type: 'entrada',
-            position: availablePosition,
-            cantidad: cantidad,
-            productId: id || lectura,
-            almacen: almacen,
-            phase: 'picking_from_storage',
-            agvTargetPosition: availablePosition
-        };
-
-        // Set pending boxes
-        systemState.pendingBoxes = cantidad;
+app.post("/api/auth/login", bodyParser.json(), async (req, res) => {
+    const { username, password } = req.body;
 
-        // Only send MQTT messages for Vera campus
-        if (almacen === "Vera") {
-            // Publish directive with the quantity
-            publishMqttMessage('PR2A1/acciones/directriz', `{"accion": "entrada", "cantidad": "${cantidad}", "posicion": "${availablePosition}"}`);
+    if (!username || !password) {
+        return res.status(400).json({ error: "username and password are required" });
+    }
 
-            console.log(`✅ Physical automation started for Vera warehouse at position ${availablePosition} with ${cantidad} boxes`);
-        } else {
-            // For non-Vera campuses, just log the simulation
-            console.log(`🔄 [Simulation ${almacen}] Would send MQTT messages to start picking pallet at position ${availablePosition} with ${cantidad} boxes`);
+    try {
+        const user = await db.oneOrNone("SELECT * FROM usuario WHERE username = $1", [username]);
+        if (!user || !verifyPassword(password, user.password_hash)) {
+            console.log(`⚠️ Failed login for ${username}`);
+            return res.status(401).json({ error: "Invalid username or password" });
         }
 
-        // Modify the database to set the location for the product, as well as the timestamp_recepcion
-        const fieldToUse = id ? 'id' : 'lectura';
-        const valueToUse = id || lectura;
-
+        const sessionId = crypto.randomBytes(16).toString('hex');
+        const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
         await db.none(
-            `UPDATE reparto SET location = $1, timestamp_recepcion = NOW() WHERE ${fieldToUse} = $2`,
-            [availablePosition, valueToUse]
+            "INSERT INTO sesion (id, usuario_id, expires_at) VALUES ($1, $2, $3)",
+            [sessionId, user.id, expiresAt]
         );
-        console.log(`✅ Product ${valueToUse} assigned to location ${availablePosition} in ${almacen} warehouse`);
 
+        console.log(`✅ ${user.username} logged in as ${user.rol}`);
+        res.json({
+            token: signToken({ sid: sessionId, exp: expiresAt.getTime() }, SESSION_SECRET),
+            expiresAt: expiresAt,
+            user: { id: user.id, username: user.username, rol: user.rol }
+        });
     } catch (error) {
-        console.error('Error processing QR code entry:', error);
+        console.error("Error logging in:", error);
+        res.status(500).json({ error: "Error logging in" });
     }
-}
+});
 
-// Function to publish MQTT messages with proper number conversion
-function publishMqttMessage(topic, message, almacen) {
-    // If almacen is specified and not Vera, simulate instead of sending real messages
-    if (almacen && almacen !== "Vera") {
-        console.log(`🔄 [Simulation ${almacen}] Would publish to ${topic}:`,
-            typeof message === 'object' ? JSON.stringify(message) : message);
-        return true;
+app.post("/api/auth/logout", requireRole('viewer'), async (req, res) => {
+    try {
+        await db.none("UPDATE sesion SET revoked_at = NOW() WHERE id = $1", [req.user.session_id]);
+        console.log(`👋 ${req.user.username} logged out`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error("Error logging out:", error);
+        res.status(500).json({ error: "Error logging out" });
     }
+});
 
-    if (!mqttConnected) {
-        console.error(`❌ Cannot publish to ${topic}: MQTT client not connected`);
-        return false;
-    }
+app.get("/api/auth/me", requireRole('viewer'), async (req, res) => {
+    const { id, username, rol } = req.user;
+    res.json({ id, username, rol });
+});
 
+// Route to fetch all users
+app.get("/api/usuarios", requireRole('admin'), async (req, res) => {
     try {
-        const messageStr = message;
-        mqttClient.publish(topic, messageStr, { qos: 1 }, (err) => {
-            if (err) {
-                console.error(`❌ Error publishing to ${topic}:`, err);
-                return false;
-            }
-            console.log(`📤 Published to ${topic}:`, messageStr);
-        });
-        return true;
+        const usuarios = await db.any("SELECT id, username, rol, created_at FROM usuario ORDER BY id");
+        res.json(usuarios);
     } catch (error) {
-        console.error(`❌ Error preparing message for ${topic}:`, error);
-        return false;
+        console.error("Error fetching usuarios:", error);
+        res.status(500).json({ error: "Error fetching usuarios" });
     }
-}
+});
 
-// Update salida-particulares to handle almacen-specific behavior
-app.post("/api/salida-particulares", bodyParser.json(), async (req, res) => {
-    console.log("Received salida particulares request:", req.body);
+// Route to add a new user
+app.post("/api/usuarios", requireRole('admin'), async (req, res) => {
+    const { username, password, rol } = req.body;
 
-    // Verify authorization
-    if (!verifyPwd(req, res)) {
-        return;
+    if (!username || !password) {
+        return res.status(400).json({ error: "username and password are required" });
+    }
+    if (!ROLES.includes(rol)) {
+        return res.status(400).json({ error: `rol must be one of ${ROLES.join(', ')}` });
     }
 
     try {
-        const { id } = req.body;
+        const existing = await db.oneOrNone("SELECT id FROM usuario WHERE username = $1", [username]);
+        if (existing) {
+            return res.status(409).json({ error: `User ${username} already exists` });
+        }
 
-        // Get reparto record to find position, cantidad and product details
-        const reparto = await db.oneOrNone(
-            "SELECT id, almacen, lectura, location, cantidad FROM reparto WHERE id = $1", // Include cantidad
-            [id]
+        const usuario = await db.one(
+            "INSERT INTO usuario (username, password_hash, rol) VALUES ($1, $2, $3) RETURNING id, username, rol, created_at",
+            [username, hashPassword(password), rol]
         );
 
-        if (!reparto) {
-            return res.status(404).json({ error: "Reparto record not found" });
-        }
+        console.log(`✅ User ${username} created by ${req.user.username}`);
+        res.status(201).json({ success: true, usuario: usuario });
+    } catch (error) {
+        console.error("Error adding usuario:", error);
+        res.status(500).json({ error: `Error adding usuario: ${error.message}` });
+    }
+});
 
-        if (!reparto.location) {
-            return res.status(400).json({ error: "This product is not stored in a warehouse location" });
-        }
+// Route to change the role or password of a user
+app.put("/api/usuarios/:id", requireRole('admin'), async (req, res) => {
+    const id = parseInt(req.params.id);
+    const { password, rol } = req.body;
 
-        const almacen = reparto.almacen;
+    if (rol !== undefined && !ROLES.includes(rol)) {
+        return res.status(400).json({ error: `rol must be one of ${ROLES.join(', ')}` });
+    }
 
-        // Use the stored cantidad from database instead of hardcoded value
-        const boxCount = reparto.cantidad || 10; // Fallback to 10 if cantidad is null
+    try {
+        const current = await db.oneOrNone("SELECT * FROM usuario WHERE id = $1", [id]);
+        if (!current) {
+            return res.status(404).json({ error: `User ${id} not found` });
+        }
 
-        // Store the exit operation in the system state
-        systemState.currentOperation = {
-            type: 'salida_particulares',
-            position: reparto.location,
-            productId: reparto.lectura,
-            cantidad: boxCount, // Add cantidad to the operation state
-            almacen: almacen,
-            phase: 'picking_from_storage',
-            agvTargetPosition: reparto.location
-        };
-
-        // Set pending boxes
-        systemState.pendingBoxes = boxCount;
-
-        // Only send MQTT messages for Vera campus
-        if (almacen === "Vera") {
-            // Publish directive with cantidad
-            publishMqttMessage('PR2A1/acciones/directriz', `{"accion": "salida_particulares", "posicion": "${reparto.location}", "cantidad": "${boxCount}"}`);
-            console.log(`✅ Physical automation started for Vera warehouse at position ${reparto.location} with ${boxCount} boxes`);
-        } else {
-            // For non-Vera campuses, just log the simulation
-            console.log(`🔄 [Simulation ${almacen}] Would send MQTT messages to start picking pallet at position ${reparto.location} with ${boxCount} boxes`);
+        // Admins cannot lock themselves out
+        if (id === req.user.id && rol !== undefined && rol !== 'admin') {
+            return res.status(400).json({ error: "You cannot remove your own admin role" });
         }
 
-        // Remove from database
-        await db.none('DELETE FROM reparto WHERE id = $1', [id]);
+        const usuario = await db.tx(async t => {
+            const updated = await t.one(
+                "UPDATE usuario SET rol = $2, password_hash = $3 WHERE id = $1 RETURNING id, username, rol, created_at",
+                [id, rol ?? current.rol, password ? hashPassword(password) : current.password_hash]
+            );
 
-        // Return success response with position and cantidad
-        res.status(200).json({
-            success: true,
-            posicion: reparto.location,
-            cantidad: boxCount,
-            almacen: almacen,
-            simulation: almacen !== "Vera"
+            // A new password or role ends the existing sessions of that user
+            await t.none("UPDATE sesion SET revoked_at = NOW() WHERE usuario_id = $1 AND revoked_at IS NULL", [id]);
+            return updated;
         });
 
+        console.log(`✅ User ${usuario.username} updated by ${req.user.username}`);
+        res.json({ success: true, usuario: usuario });
     } catch (error) {
-        console.error('Error processing salida particulares:', error);
+        console.error("Error updating usuario:", error);
+        res.status(500).json({ error: `Error updating usuario: ${error.message}` });
+    }
+});
+
+// Route to remove a user
+app.delete("/api/usuarios/:id", requireRole('admin'), async (req, res) => {
+    const id = parseInt(req.params.id);
+
+    if (id === req.user.id) {
+        return res.status(400).json({ error: "You cannot delete your own user" });
+    }
+
+    try {
+        const result = await db.result("DELETE FROM usuario WHERE id = $1", [id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: `User ${id} not found` });
+        }
+
+        console.log(`✅ User ${id} removed by ${req.user.username}`);
+        res.json({ success: true, id: id });
+    } catch (error) {
+        console.error("Error removing usuario:", error);
+        res.status(500).json({ error: `Error removing usuario: ${error.message}` });
+    }
+});
+
+// ---------------- LIVE EVENTS ----------------
+
+// Dashboards connected to the event stream
+const eventClients = new Set();
+
+// Send an event to every connected dashboard
+function broadcastEvent(type, data) {
+    const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    eventClients.forEach(client => client.write(message));
+}
+
+function broadcastSystemStatus() {
+    broadcastEvent('system-status', { systemState, connected: mqttConnected });
+    saveLineState();
+}
+
+// Push the current row of a reparto, or its removal
+async function broadcastReparto(id) {
+    try {
+        const reparto = await db.oneOrNone(`${REPARTO_SELECT} WHERE r.id = $1`, [id]);
+        broadcastEvent('reparto', reparto ? { id: id, reparto: reparto } : { id: id, deleted: true });
+    } catch (error) {
+        console.error(`❌ Error broadcasting reparto ${id}:`, error);
+    }
+}
+
+// Server-Sent Events stream. EventSource cannot set headers, so the token comes in the query.
+app.get("/api/events", async (req, res) => {
+    try {
+        const user = await sessionUser(req.query.token);
+        if (!user) {
+            return res.status(401).json({ error: "Authentication required" });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write(`event: system-status\ndata: ${JSON.stringify({ systemState, connected: mqttConnected })}\n\n`);
+
+        // Keep proxies from closing an idle stream
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+        eventClients.add(res);
+        console.log(`📡 ${user.username} subscribed to live events (${eventClients.size} connected)`);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            eventClients.delete(res);
+        });
+    } catch (error) {
+        console.error("Error opening event stream:", error);
+        res.status(500).json({ error: "Error opening event stream" });
+    }
+});
+
+// ---------------- ALMACENES ----------------
+
+// In-memory copy of the almacen table, refreshed whenever it changes
+let almacenes = new Map();
+
+async function loadAlmacenes() {
+    const rows = await db.any("SELECT * FROM almacen ORDER BY created_at, id");
+    almacenes = new Map(rows.map(row => [row.id, row]));
+    console.log(`✅ Loaded ${rows.length} almacenes:`, rows.map(row => `${row.id}${row.fisico ? ' (MQTT)' : ''}`).join(', '));
+}
+
+// Physical centres are driven over MQTT, the rest are simulated
+function isPhysicalAlmacen(almacen) {
+    return almacenes.get(almacen)?.fisico === true;
+}
+
+function getPhysicalAlmacen() {
+    for (const almacen of almacenes.values()) {
+        if (almacen.fisico) {
+            return almacen.id;
+        }
+    }
+    return null;
+}
+
+// Rack position for an incoming pallet chosen by the slotting strategy of its almacen, or null when it is full
+async function findAvailablePosition(almacen, pallet, t = db) {
+    const config = almacenes.get(almacen);
+    if (!config) {
+        return null;
+    }
+
+    const occupied = await t.any(
+        `SELECT c.location, c.lectura, c.fecha_caducidad FROM (${REPARTO_SELECT}) c
+         WHERE c.location IS NOT NULL AND c.almacen = $1`,
+        [almacen]
+    );
+
+    // Only the physical line reports where its AGV is
+    const agvPosition = config.fisico ? systemState.agvStatus.ubicacion : null;
+
+    const position = slotting.choosePosition({ almacen: config, occupied, pallet, agvPosition });
+    console.log(`📦 ${config.estrategia} slotting in ${almacen}: position ${position} (${occupied.length} occupied)`);
+    return position;
+}
+
+// Check the slotting fields of an almacen, error message or null
+function validateSlotting(estrategia, layout, posiciones) {
+    if (!Object.keys(slotting.STRATEGIES).includes(estrategia)) {
+        return `estrategia must be one of ${Object.keys(slotting.STRATEGIES).join(', ')}`;
+    }
+    return slotting.validateLayout(layout, posiciones);
+}
+
+// Available slotting strategies
+app.get("/api/almacenes/estrategias", requireRole('viewer'), (req, res) => {
+    res.json(Object.entries(slotting.STRATEGIES).map(([id, descripcion]) => ({ id, descripcion })));
+});
+
+// Route to fetch all almacenes with their occupation
+app.get("/api/almacenes", requireRole('viewer'), async (req, res) => {
+    try {
+        const rows = await db.any(
+            `SELECT a.*, COUNT(r.location)::int AS ocupadas
+             FROM almacen a
+             LEFT JOIN reparto r ON r.almacen = a.id AND r.location IS NOT NULL
+             GROUP BY a.id
+             ORDER BY a.created_at, a.id`
+        );
+        res.json(rows);
+    } catch (error) {
+        console.error("Error fetching almacenes:", error);
+        res.status(500).send("Error fetching almacenes");
+    }
+});
+
+// Route to add a new almacen
+app.post("/api/almacenes", requireRole('admin'), async (req, res) => {
+    const { id, nombre, fisico } = req.body;
+    const posiciones = parseInt(req.body.posiciones || 5);
+    const estrategia = req.body.estrategia || slotting.DEFAULT_STRATEGY;
+    const layout = req.body.layout || null;
+
+    if (!id || !nombre) {
+        return res.status(400).json({ error: "id and nombre are required" });
+    }
+    if (!(posiciones > 0)) {
+        return res.status(400).json({ error: "posiciones must be a positive integer" });
+    }
+    const slottingError = validateSlotting(estrategia, layout, posiciones);
+    if (slottingError) {
+        return res.status(400).json({ error: slottingError });
+    }
+
+    try {
+        const existing = await db.oneOrNone('SELECT id FROM almacen WHERE id = $1', [id]);
+        if (existing) {
+            return res.status(409).json({ error: `Almacen with ID ${id} already exists` });
+        }
+
+        const almacen = await db.one(
+            "INSERT INTO almacen (id, nombre, posiciones, fisico, estrategia, layout) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *",
+            [id, nombre, posiciones, fisico === true || fisico === 'true', estrategia, layout]
+        );
+        await loadAlmacenes();
+
+        console.log('Almacen added successfully:', id);
+        res.status(201).json({ success: true, almacen: almacen });
+    } catch (error) {
+        console.error('Error adding almacen:', error);
+        res.status(500).json({ error: `Error adding almacen: ${error.message}` });
+    }
+});
+
+// Route to update an almacen
+app.put("/api/almacenes/:id", requireRole('admin'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const current = await db.oneOrNone('SELECT * FROM almacen WHERE id = $1', [id]);
+        if (!current) {
+            return res.status(404).json({ error: `Almacen ${id} not found` });
+        }
+
+        const nombre = req.body.nombre ?? current.nombre;
+        const posiciones = req.body.posiciones !== undefined ? parseInt(req.body.posiciones) : current.posiciones;
+        const fisico = req.body.fisico !== undefined ? (req.body.fisico === true || req.body.fisico === 'true') : current.fisico;
+        const estrategia = req.body.estrategia ?? current.estrategia;
+        const layout = req.body.layout !== undefined ? req.body.layout : current.layout;
+
+        if (!(posiciones > 0)) {
+            return res.status(400).json({ error: "posiciones must be a positive integer" });
+        }
+        const slottingError = validateSlotting(estrategia, layout, posiciones);
+        if (slottingError) {
+            return res.status(400).json({ error: slottingError });
+        }
+
+        // Stored pallets must still fit in the rack
+        const { max } = await db.one(
+            "SELECT MAX(location) AS max FROM reparto WHERE almacen = $1 AND location IS NOT NULL",
+            [id]
+        );
+        if (max !== null && posiciones < max) {
+            return res.status(409).json({ error: `Position ${max} is in use, posiciones cannot be lower than ${max}` });
+        }
+
+        const almacen = await db.one(
+            "UPDATE almacen SET nombre = $2, posiciones = $3, fisico = $4, estrategia = $5, layout = $6 WHERE id = $1 RETURNING *",
+            [id, nombre, posiciones, fisico, estrategia, layout]
+        );
+        await loadAlmacenes();
+
+        console.log('Almacen updated successfully:', id);
+        res.json({ success: true, almacen: almacen });
+    } catch (error) {
+        console.error('Error updating almacen:', error);
+        res.status(500).json({ error: `Error updating almacen: ${error.message}` });
+    }
+});
+
+// Route to remove an almacen
+app.delete("/api/almacenes/:id", requireRole('admin'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const almacen = await db.oneOrNone('SELECT id FROM almacen WHERE id = $1', [id]);
+        if (!almacen) {
+            return res.status(404).json({ error: `Almacen ${id} not found` });
+        }
+
+        // Check if the almacen still has stock, shipments or pending jobs, including
+        // transfers from other centres that would end in it
+        const inUse = await db.oneOrNone(
+            `SELECT 1 FROM reparto WHERE almacen = $1
+             UNION ALL
+             SELECT 1 FROM operacion WHERE (almacen = $1 OR destino = $1) AND status IN ('queued', 'running')
+             LIMIT 1`,
+            [id]
+        );
+        if (inUse) {
+            return res.status(409).json({ error: `Cannot delete almacen ${id} because it has stock, shipments or pending operations` });
+        }
+
+        await db.none('DELETE FROM almacen WHERE id = $1', [id]);
+        await loadAlmacenes();
+
+        console.log('Almacen removed successfully:', id);
+        res.json({ success: true, id: id });
+    } catch (error) {
+        console.error('Error removing almacen:', error);
+        res.status(500).json({ error: `Error removing almacen: ${error.message}` });
+    }
+});
+
+// ---------------- OPERATION QUEUE ----------------
+
+// Almacenes whose queue is being dispatched right now
+const dispatchingQueues = new Set();
+
+// Nothing runs before the saved line state is restored, in a centre under an emergency
+// stop or whose interrupted operation is still being checked after a restart. Otherwise
+// only physical centres have a line; simulated centres are never busy. Physical jobs
+// also wait while the broker is unreachable.
+function isLineBusy(almacen) {
+    if (!lineStateRestored) {
+        return true;
+    }
+    if (isEmergencyStopped(almacen) || pendingReconciliation?.almacen === almacen) {
+        return true;
+    }
+    if (!isPhysicalAlmacen(almacen)) {
+        return false;
+    }
+    return !mqttConnected || systemState.currentOperation !== null;
+}
+
+// Add a job at the end of the almacen queue and try to dispatch it
+async function enqueueOperation(fields) {
+    const job = await insertOperation(fields);
+    announceOperation(job);
+    return job;
+}
+
+// Add a job at the end of the queue, inside the transaction t when given. Call
+// announceOperation once it is committed.
+function insertOperation({ tipo, almacen, repartoId, lectura, posicion, cantidad, destino, solicitante }, t = db) {
+    return t.one(
+        `INSERT INTO operacion (almacen, tipo, reparto_id, lectura, posicion, cantidad, destino, solicitante, orden)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8,
+            (SELECT COALESCE(MAX(orden), 0) + 1 FROM operacion WHERE almacen = $1 AND status = 'queued'))
+         RETURNING *`,
+        [almacen, tipo, repartoId, lectura, posicion, cantidad, destino || null, solicitante || null]
+    );
+}
+
+// Tell the dashboards about a new job and run it if the line is idle
+function announceOperation(job) {
+    console.log(`📥 Queued operation ${job.id} (${job.tipo}) for ${job.almacen} at position ${job.posicion}`);
+    broadcastEvent('operacion', job);
+
+    processQueue(job.almacen);
+}
+
+// Check whether a reparto already has a queued or running job
+async function hasActiveOperation(repartoId) {
+    const active = await db.oneOrNone(
+        "SELECT id FROM operacion WHERE reparto_id = $1 AND status IN ('queued', 'running') LIMIT 1",
+        [repartoId]
+    );
+    return active !== null;
+}
+
+// Another request queued a job for the same reparto between the check above and the
+// insert, see operacion_reparto_activa_key
+function isActiveOperationConflict(error) {
+    return error.code === '23505' && error.constraint === 'operacion_reparto_activa_key';
+}
+
+// Send queued jobs to the line while it is idle
+async function processQueue(almacen) {
+    if (dispatchingQueues.has(almacen)) {
+        return;
+    }
+    dispatchingQueues.add(almacen);
+
+    try {
+        while (!isLineBusy(almacen)) {
+            const job = await db.oneOrNone(
+                `UPDATE operacion SET status = 'running', started_at = NOW()
+                 WHERE id = (
+                    SELECT id FROM operacion WHERE almacen = $1 AND status = 'queued'
+                    ORDER BY orden, id LIMIT 1
+                 )
+                 RETURNING *`,
+                [almacen]
+            );
+            if (!job) {
+                break;
+            }
+            broadcastEvent('operacion', job);
+            await runJob(job);
+        }
+    } catch (error) {
+        console.error(`❌ Error processing operation queue for ${almacen}:`, error);
+    } finally {
+        dispatchingQueues.delete(almacen);
+    }
+}
+
+async function processAllQueues() {
+    const almacenes = await db.any("SELECT DISTINCT almacen FROM operacion WHERE status = 'queued'");
+    for (const { almacen } of almacenes) {
+        await processQueue(almacen);
+    }
+}
+
+// Publish the directive for a job and start it on the line
+async function runJob(job) {
+    console.log(`▶️ Starting operation ${job.id} (${job.tipo}) for ${job.almacen}`);
+
+    // The destination may have been removed while the transfer was queued, the
+    // pallet must not leave the rack for a centre that cannot receive it
+    if (job.tipo === 'salida_centro' && !almacenes.has(job.destino)) {
+        await finishJob(job.id, 'failed', `Unknown destination almacen ${job.destino}`);
+        return;
+    }
+
+    // Only send MQTT messages for physical centres
+    if (isPhysicalAlmacen(job.almacen)) {
+        const published = publishMqttMessage('PR2A1/acciones/directriz', {
+            accion: job.tipo,
+            cantidad: job.cantidad,
+            posicion: job.posicion
+        });
+        if (!published) {
+            await finishJob(job.id, 'failed', 'Could not publish directive');
+            return;
+        }
+        console.log(`✅ Physical automation started for ${job.almacen} warehouse at position ${job.posicion} with ${job.cantidad} boxes`);
+    } else {
+        // For simulated centres, just log the simulation
+        console.log(`🔄 [Simulation ${job.almacen}] Would send MQTT messages to start ${job.tipo} at position ${job.posicion} with ${job.cantidad} boxes`);
+    }
+
+    startOperation(operationDetails(job));
+}
+
+// Line operation for an operacion row
+function operationDetails(job) {
+    return {
+        jobId: job.id,
+        type: job.tipo,
+        position: job.posicion,
+        cantidad: job.cantidad,
+        productId: job.lectura,
+        almacen: job.almacen
+    };
+}
+
+// Mark a running job with its final status, resolves with it or null when it was not running
+async function closeJob(jobId, status, error = null) {
+    const job = await db.oneOrNone(
+        `UPDATE operacion SET status = $2, error = $3, finished_at = NOW()
+         WHERE id = $1 AND status = 'running'
+         RETURNING *`,
+        [jobId, status, error]
+    );
+    if (job) {
+        console.log(`${status === 'done' ? '✅' : '❌'} Operation ${job.id} (${job.tipo}) ${status}${error ? ': ' + error : ''}`);
+        broadcastEvent('operacion', job);
+    }
+    return job;
+}
+
+// Close a running job and apply its effects on the inventory
+async function finishJob(jobId, status, error = null) {
+    try {
+        const job = await closeJob(jobId, status, error);
+        if (!job) {
+            return;
+        }
+
+        if (status === 'done' && job.tipo !== 'entrada') {
+            await applyExit(job, job.cantidad);
+        } else if (status === 'failed' && job.tipo === 'entrada') {
+            // The pallet never got to its position, free it for a new scan
+            await releaseEntrada(job);
+        }
+
+        processQueue(job.almacen);
+    } catch (err) {
+        console.error(`❌ Error finishing operation ${jobId}:`, err);
+    }
+}
+
+// Take boxes that left the line off their pallet. The pallet goes back to its slot
+// until it is empty. The stock, the transfer and the movements change in one
+// transaction, so an exit is either fully applied or not at all.
+async function applyExit(job, cantidad) {
+    const { remaining, transfer, movimiento } = await db.tx(async t => {
+        const remaining = await t.oneOrNone(
+            `UPDATE reparto SET cantidad = GREATEST(cantidad - $2, 0) WHERE id = $1
+             RETURNING cantidad, COALESCE(timestamp_origen, timestamp) AS timestamp_origen`,
+            [job.reparto_id, cantidad]
+        );
+        if (!remaining || remaining.cantidad === 0) {
+            await t.none('DELETE FROM reparto WHERE id = $1', [job.reparto_id]);
+        }
+
+        // Transfers continue as a new shipment towards the destination centre
+        const transfer = job.tipo === 'salida_centro'
+            ? await createTransfer({ ...job, cantidad, timestamp_origen: remaining?.timestamp_origen }, t)
+            : null;
+
+        const detalle = {};
+        if (transfer) detalle.reparto_destino = transfer.id;
+        if (remaining && remaining.cantidad > 0) detalle.restante = remaining.cantidad;
+
+        const movimiento = await insertMovement({
+            tipo: 'salida',
+            repartoId: job.reparto_id,
+            almacen: job.almacen,
+            lectura: job.lectura,
+            cantidad: cantidad,
+            location: job.posicion,
+            salidaTipo: job.tipo === 'salida_centro' ? 'centro' : 'particulares',
+            destino: job.destino,
+            operacionId: job.id,
+            solicitante: job.solicitante,
+            detalle: Object.keys(detalle).length > 0 ? detalle : null
+        }, t);
+
+        return { remaining, transfer, movimiento };
+    });
+
+    if (remaining && remaining.cantidad > 0) {
+        console.log(`📦 Reparto ${job.reparto_id} back at position ${job.posicion} with ${remaining.cantidad} boxes`);
+    }
+    broadcastReparto(job.reparto_id);
+    if (transfer) {
+        announceTransfer(transfer);
+    }
+    broadcastEvent('movimiento', movimiento);
+}
+
+// Create the in-transit reparto for the destination of a salida_centro, with its
+// movement, inside the transaction t of the exit. Call announceTransfer once committed.
+async function createTransfer(job, t) {
+    if (!job.destino) {
+        return null;
+    }
+
+    // The goods keep the shipment date of the source reparto, and so its expiry date
+    const dias = await leadTimeDays(job.almacen, job.destino, t);
+    const transfer = await t.one(
+        `INSERT INTO reparto (almacen, lectura, timestamp, cantidad, origen, transferencia_de, fecha_prevista, timestamp_origen)
+         VALUES ($1, $2, NOW(), $3, $4, $5, CURRENT_DATE + $6::int, $7)
+         RETURNING *`,
+        [job.destino, job.lectura, job.cantidad, job.almacen, job.reparto_id, dias, job.timestamp_origen || null]
+    );
+
+    transfer.movimiento = await insertMovement({
+        tipo: 'creacion',
+        repartoId: transfer.id,
+        almacen: job.destino,
+        lectura: job.lectura,
+        cantidad: job.cantidad,
+        solicitante: job.solicitante,
+        detalle: { transferencia_de: job.reparto_id, origen: job.almacen }
+    }, t);
+
+    return transfer;
+}
+
+// Publish a committed transfer and print the label of the pallet travelling to the destination
+function announceTransfer(transfer) {
+    console.log(`🚚 Reparto ${transfer.transferencia_de} transferred from ${transfer.origen} to ${transfer.almacen} as reparto ${transfer.id}`);
+    broadcastReparto(transfer.id);
+    broadcastEvent('movimiento', transfer.movimiento);
+
+    generateQRCode(transfer.id, transfer.lectura, transfer.cantidad);
+}
+
+// Receiving a transferred pallet completes the transfer started in its origin centre
+function transferDetail(reparto) {
+    if (!reparto.transferencia_de) {
+        return null;
+    }
+    console.log(`🚚 Transfer of reparto ${reparto.transferencia_de} from ${reparto.origen} completed`);
+    return { transferencia_de: reparto.transferencia_de, origen: reparto.origen };
+}
+
+// Undo the location reserved by an entrada that will not run
+async function releaseEntrada(job) {
+    await db.none(
+        "UPDATE reparto SET location = NULL, timestamp_recepcion = NULL WHERE id = $1 AND location = $2",
+        [job.reparto_id, job.posicion]
+    );
+    broadcastReparto(job.reparto_id);
+}
+
+// Route to list the operation queue
+app.get("/api/operaciones", requireRole('viewer'), async (req, res) => {
+    const { almacen, status } = req.query;
+
+    try {
+        const operaciones = await db.any(
+            `SELECT * FROM operacion
+             WHERE ($1 IS NULL OR almacen = $1) AND ($2 IS NULL OR status = $2)
+             ORDER BY almacen,
+                CASE status WHEN 'running' THEN 0 WHEN 'queued' THEN 1 ELSE 2 END,
+                CASE WHEN status = 'queued' THEN orden END,
+                created_at DESC
+             LIMIT 200`,
+            [almacen || null, status || null]
+        );
+        res.json(operaciones);
+    } catch (error) {
+        console.error("Error fetching operaciones:", error);
+        res.status(500).send("Error fetching operaciones");
+    }
+});
+
+// Route to move a queued job to another place in its queue
+app.post("/api/operaciones/:id/mover", requireRole('operator'), async (req, res) => {
+    const { id } = req.params;
+    const posicion = parseInt(req.body.posicion);
+
+    if (!posicion || posicion < 1) {
+        return res.status(400).json({ error: "posicion must be a positive integer" });
+    }
+
+    try {
+        const queue = await db.tx(async t => {
+            const job = await t.oneOrNone("SELECT id, almacen, status FROM operacion WHERE id = $1", [id]);
+            if (!job) {
+                return null;
+            }
+            if (job.status !== 'queued') {
+                throw new Error(`Operation ${id} is ${job.status}`);
+            }
+
+            // Rewrite the order of the whole queue with the job in its new place
+            const ids = (await t.any(
+                "SELECT id FROM operacion WHERE almacen = $1 AND status = 'queued' ORDER BY orden, id FOR UPDATE",
+                [job.almacen]
+            )).map(row => row.id).filter(jobId => jobId !== job.id);
+            ids.splice(Math.min(posicion, ids.length + 1) - 1, 0, job.id);
+
+            await t.batch(ids.map((jobId, index) =>
+                t.none("UPDATE operacion SET orden = $1 WHERE id = $2", [index + 1, jobId])
+            ));
+
+            return t.any(
+                "SELECT * FROM operacion WHERE almacen = $1 AND status = 'queued' ORDER BY orden",
+                [job.almacen]
+            );
+        });
+
+        if (!queue) {
+            return res.status(404).json({ error: "Operation not found" });
+        }
+        queue.forEach(job => broadcastEvent('operacion', job));
+        res.json({ success: true, queue: queue });
+    } catch (error) {
+        console.error('Error reordering operation:', error);
+        res.status(409).json({ error: error.message });
+    }
+});
+
+// Route to cancel a queued job
+app.post("/api/operaciones/:id/cancelar", requireRole('operator'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const job = await db.oneOrNone("SELECT * FROM operacion WHERE id = $1", [id]);
+        if (!job) {
+            return res.status(404).json({ error: "Operation not found" });
+        }
+        if (job.status !== 'queued') {
+            return res.status(409).json({ error: `Only queued operations can be cancelled, operation ${id} is ${job.status}` });
+        }
+
+        const cancelled = await db.oneOrNone(
+            "UPDATE operacion SET status = 'cancelled', finished_at = NOW() WHERE id = $1 AND status = 'queued' RETURNING *",
+            [id]
+        );
+        if (!cancelled) {
+            return res.status(409).json({ error: `Operation ${id} already started` });
+        }
+
+        if (cancelled.tipo === 'entrada') {
+            await releaseEntrada(cancelled);
+        }
+
+        console.log(`🚫 Operation ${id} cancelled`);
+        broadcastEvent('operacion', cancelled);
+        res.json({ success: true, operacion: cancelled });
+    } catch (error) {
+        console.error('Error cancelling operation:', error);
+        res.status(500).json({ error: "Error cancelling operation" });
+    }
+});
+
+// ---------------- MOVEMENTS ----------------
+
+// Append an event to the movement ledger. Failures are logged but never block the operation.
+async function recordMovement(fields) {
+    try {
+        const movimiento = await insertMovement(fields);
+        broadcastEvent('movimiento', movimiento);
+    } catch (error) {
+        console.error(`❌ Error recording ${fields.tipo} movement:`, error);
+    }
+}
+
+// Insert a movement, inside the transaction t when given. Errors reach the caller so
+// the transaction is rolled back, broadcast the movement once it is committed.
+function insertMovement({ tipo, repartoId, almacen, lectura, cantidad, location, salidaTipo, destino, operacionId, solicitante, detalle }, t = db) {
+    return t.one(
+        `INSERT INTO movimiento
+            (tipo, reparto_id, almacen, lectura, cantidad, location, salida_tipo, destino, operacion_id, solicitante, detalle)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING *`,
+        [
+            tipo,
+            repartoId || null,
+            almacen || null,
+            lectura || null,
+            cantidad ?? null,
+            location ?? null,
+            salidaTipo || null,
+            destino || null,
+            operacionId || null,
+            solicitante || null,
+            detalle ? JSON.stringify(detalle) : null
+        ]
+    );
+}
+
+// Route to query the movement history
+app.get("/api/movimientos", requireRole('viewer'), async (req, res) => {
+    const { almacen, producto, tipo, desde, hasta } = req.query;
+
+    try {
+        const movimientos = await db.any(
+            `SELECT m.*, p.producto AS producto_nombre
+             FROM movimiento m
+             LEFT JOIN producto p ON p.id = m.lectura
+             WHERE ($1 IS NULL OR m.almacen = $1 OR m.destino = $1)
+               AND ($2 IS NULL OR m.lectura = $2)
+               AND ($3 IS NULL OR m.tipo = $3)
+               AND ($4 IS NULL OR m.created_at >= $4::timestamptz)
+               AND ($5 IS NULL OR m.created_at < $5::date + INTERVAL '1 day')
+             ORDER BY m.created_at DESC, m.id DESC
+             LIMIT 500`,
+            [almacen || null, producto || null, tipo || null, desde || null, hasta || null]
+        );
+        res.json(movimientos);
+    } catch (error) {
+        console.error("Error fetching movimientos:", error);
+        res.status(500).send("Error fetching movimientos");
+    }
+});
+
+// ---------------- CADUCIDADES ----------------
+
+// Repartos with their product name, expiry date counted from the shipment date (the
+// one of the source reparto for transfers) and shipment status (see shipments.STATUSES)
+const REPARTO_SELECT = `
+    SELECT r.*,
+           p.producto AS producto_nombre,
+           p.cajas_por_palet,
+           COALESCE(r.timestamp_origen, r.timestamp) + make_interval(days => COALESCE(p.shelf_life, ${DEFAULT_SHELF_LIFE_DAYS})) AS fecha_caducidad,
+           CASE
+               WHEN r.timestamp_recepcion IS NOT NULL THEN 'recibido'
+               WHEN r.fecha_prevista < CURRENT_DATE THEN 'retrasado'
+               WHEN r.fecha_prevista = CURRENT_DATE THEN 'llega_hoy'
+               ELSE 'en_ruta'
+           END AS estado_envio
+    FROM reparto r
+    LEFT JOIN producto p ON p.id = r.lectura`;
+
+// Same thresholds the dashboard uses for its badges
+function expiryStatus(diasRestantes) {
+    if (diasRestantes < 0) return 'caducado';
+    if (diasRestantes < 5) return 'critico';
+    if (diasRestantes < EXPIRY_WARNING_DAYS) return 'atencion';
+    return 'optimo';
+}
+
+// Stored pallets that are expired or expire within the given days
+app.get("/api/caducidades", requireRole('viewer'), async (req, res) => {
+    const { almacen, producto } = req.query;
+    const dias = req.query.dias !== undefined ? parseInt(req.query.dias) : EXPIRY_WARNING_DAYS;
+
+    if (isNaN(dias) || dias < 0) {
+        return res.status(400).json({ error: "dias must be a non-negative integer" });
+    }
+
+    try {
+        const pallets = await db.any(
+            `SELECT c.*,
+                    CEIL(EXTRACT(EPOCH FROM (c.fecha_caducidad - NOW())) / 86400)::int AS dias_restantes
+             FROM (${REPARTO_SELECT}) c
+             WHERE c.location IS NOT NULL
+               AND c.fecha_caducidad < NOW() + make_interval(days => $1)
+               AND ($2 IS NULL OR c.almacen = $2)
+               AND ($3 IS NULL OR c.lectura = $3)
+             ORDER BY c.fecha_caducidad, c.id`,
+            [dias, almacen || null, producto || null]
+        );
+        res.json(pallets.map(pallet => ({ ...pallet, estado: expiryStatus(pallet.dias_restantes) })));
+    } catch (error) {
+        console.error("Error fetching caducidades:", error);
+        res.status(500).json({ error: "Error fetching caducidades" });
+    }
+});
+
+// First-expiring pallet of a product that can still leave (FEFO)
+app.get("/api/caducidades/siguiente-salida", requireRole('viewer'), async (req, res) => {
+    const { producto, almacen } = req.query;
+
+    if (!producto) {
+        return res.status(400).json({ error: "producto is required" });
+    }
+
+    try {
+        const pallet = await db.oneOrNone(
+            `SELECT c.*,
+                    CEIL(EXTRACT(EPOCH FROM (c.fecha_caducidad - NOW())) / 86400)::int AS dias_restantes
+             FROM (${REPARTO_SELECT}) c
+             WHERE c.location IS NOT NULL
+               AND c.lectura = $1
+               AND ($2 IS NULL OR c.almacen = $2)
+               AND c.fecha_caducidad >= NOW()
+               AND NOT EXISTS (
+                    SELECT 1 FROM operacion o
+                    WHERE o.reparto_id = c.id AND o.status IN ('queued', 'running')
+               )
+             ORDER BY c.fecha_caducidad, c.id
+             LIMIT 1`,
+            [producto, almacen || null]
+        );
+
+        if (!pallet) {
+            return res.status(404).json({ error: `No pallet of product ${producto} available for exit` });
+        }
+        res.json({ ...pallet, estado: expiryStatus(pallet.dias_restantes) });
+    } catch (error) {
+        console.error("Error fetching next exit:", error);
+        res.status(500).json({ error: "Error fetching next exit" });
+    }
+});
+
+// Flag newly expired stock and raise an alert for each pallet
+async function checkExpiredStock() {
+    try {
+        const expired = await db.any(
+            `UPDATE reparto r SET caducado_at = NOW()
+             FROM (${REPARTO_SELECT}) c
+             WHERE r.id = c.id
+               AND r.caducado_at IS NULL
+               AND r.location IS NOT NULL
+               AND c.fecha_caducidad < NOW()
+             RETURNING r.id, r.almacen, r.lectura, r.location, c.fecha_caducidad`
+        );
+
+        expired.forEach(pallet => {
+            console.log(`⚠️ Reparto ${pallet.id} (${pallet.lectura}) expired at position ${pallet.location} in ${pallet.almacen}`);
+            publishMqttMessage('PR2A1/avisos/caducidad', {
+                id: pallet.id,
+                almacen: pallet.almacen,
+                lectura: pallet.lectura,
+                posicion: pallet.location,
+                caducidad: pallet.fecha_caducidad.toISOString()
+            });
+            broadcastEvent('caducidad', pallet);
+            notify('stock_caducado', pallet.almacen, {
+                id: pallet.id,
+                lectura: pallet.lectura,
+                posicion: pallet.location,
+                caducidad: pallet.fecha_caducidad.toISOString()
+            });
+            broadcastReparto(pallet.id);
+        });
+    } catch (error) {
+        console.error("❌ Error checking expired stock:", error);
+    }
+}
+
+// Run the check periodically unless EXPIRY_CHECK_MINUTES is 0
+function startExpiryCheck() {
+    if (!EXPIRY_CHECK_MINUTES) {
+        return;
+    }
+    console.log(`⏰ Checking for expired stock every ${EXPIRY_CHECK_MINUTES} minutes`);
+    checkExpiredStock();
+    setInterval(checkExpiredStock, EXPIRY_CHECK_MINUTES * 60 * 1000);
+}
+
+// ---------------- LABELS ----------------
+
+const MAX_LABELS_PER_BATCH = 100;
+
+// Reparto with everything printed on its label
+async function loadLabel(id) {
+    const reparto = await db.oneOrNone(`${REPARTO_SELECT} WHERE r.id = $1`, [id]);
+    if (!reparto) {
+        return null;
+    }
+
+    return {
+        id: reparto.id,
+        producto: reparto.producto_nombre,
+        lectura: reparto.lectura,
+        cantidad: reparto.cantidad,
+        almacen: reparto.almacen,
+        fechaEnvio: reparto.timestamp,
+        fechaCaducidad: reparto.fecha_caducidad,
+        qr: await QRCode.toBuffer(qrPayload(reparto), QR_OPTIONS)
+    };
+}
+
+// QR code of a reparto as PNG (default) or SVG, or its signed contents as JSON.
+// Whoever gets one can put the pallet on the line, so only operators can.
+app.get("/api/reparto/:id/qr", requireRole('operator'), async (req, res) => {
+    const format = req.query.format || 'png';
+
+    if (!['png', 'svg', 'json'].includes(format)) {
+        return res.status(400).json({ error: "format must be png, svg or json" });
+    }
+
+    try {
+        const reparto = await db.oneOrNone("SELECT id, lectura, cantidad FROM reparto WHERE id = $1", [req.params.id]);
+        if (!reparto) {
+            return res.status(404).json({ error: "Reparto record not found" });
+        }
+
+        if (format === 'json') {
+            res.type('application/json').send(qrPayload(reparto));
+        } else if (format === 'svg') {
+            res.type('image/svg+xml').send(await QRCode.toString(qrPayload(reparto), { ...QR_OPTIONS, type: 'svg' }));
+        } else {
+            res.type('image/png').send(await QRCode.toBuffer(qrPayload(reparto), QR_OPTIONS));
+        }
+    } catch (error) {
+        console.error("Error generating QR code:", error);
+        res.status(500).json({ error: "Error generating QR code" });
+    }
+});
+
+// Printable PDF label of a reparto
+app.get("/api/reparto/:id/label", requireRole('operator'), async (req, res) => {
+    try {
+        const label = await loadLabel(req.params.id);
+        if (!label) {
+            return res.status(404).json({ error: "Reparto record not found" });
+        }
+
+        const pdf = await labelPdf(label);
+        res.type('application/pdf')
+            .set('Content-Disposition', `inline; filename="etiqueta_${label.id}.pdf"`)
+            .send(pdf);
+    } catch (error) {
+        console.error("Error generating label:", error);
+        res.status(500).json({ error: "Error generating label" });
+    }
+});
+
+// A4 sheet with the labels of several repartos: /api/repartos/labels?ids=1,2,3
+app.get("/api/repartos/labels", requireRole('operator'), async (req, res) => {
+    const ids = String(req.query.ids || '').split(',').map(id => parseInt(id)).filter(id => id > 0);
+
+    if (ids.length === 0) {
+        return res.status(400).json({ error: "ids must list at least one reparto" });
+    }
+    if (ids.length > MAX_LABELS_PER_BATCH) {
+        return res.status(400).json({ error: `At most ${MAX_LABELS_PER_BATCH} labels per sheet` });
+    }
+
+    try {
+        const labels = [];
+        for (const id of ids) {
+            const label = await loadLabel(id);
+            if (!label) {
+                return res.status(404).json({ error: `Reparto ${id} not found` });
+            }
+            labels.push(label);
+        }
+
+        const pdf = await labelSheetPdf(labels);
+        res.type('application/pdf')
+            .set('Content-Disposition', 'inline; filename="etiquetas.pdf"')
+            .send(pdf);
+    } catch (error) {
+        console.error("Error generating label sheet:", error);
+        res.status(500).json({ error: "Error generating label sheet" });
+    }
+});
+
+// ---------------- QR SIGNATURES ----------------
+
+// Check a scanned QR code, resolves with { product } or { motivo } when it has to be rejected
+async function checkQrCode(qrData) {
+    if (!qrData || !qrData.sig || !qrData.iat) {
+        return { motivo: 'sin_firma' };
+    }
+    if (!verifyQrPayload(qrData, qrSecret)) {
+        return { motivo: 'firma_invalida' };
+    }
+
+    const product = await db.oneOrNone(
+        'SELECT id, lectura, almacen, cantidad, origen, transferencia_de, qr_revocado_at FROM reparto WHERE id = $1',
+        [qrData.id]
+    );
+    if (!product) {
+        return { motivo: 'no_encontrado' };
+    }
+    if (product.qr_revocado_at && Number(qrData.iat) <= product.qr_revocado_at.getTime()) {
+        return { motivo: 'revocado' };
+    }
+    // Signed by us, but for a reparto whose product has changed since
+    if (product.lectura !== qrData.lectura) {
+        return { motivo: 'no_coincide' };
+    }
+
+    return { product };
+}
+
+// Keep the rejected scan and raise the alert
+async function rejectQrCode(qrData, motivo, origen, solicitante) {
+    const repartoId = parseInt(qrData?.id) || null;
+    console.error(`🚫 Rejected QR code (${motivo}) from ${origen}:`, qrData);
+
+    const rechazo = await db.one(
+        `INSERT INTO qr_rechazo (reparto_id, motivo, origen, contenido, solicitante)
+         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [repartoId, motivo, origen, qrData ? JSON.stringify(qrData) : null, solicitante || null]
+    );
+
+    const alert = { origen, motivo };
+    if (repartoId > 0) {
+        alert.id = repartoId;
+    }
+    publishMqttMessage('PR2A1/avisos/qr_rechazado', alert);
+    broadcastEvent('qr-rechazo', rechazo);
+
+    return rechazo;
+}
+
+// Latest rejected scans
+app.get("/api/qr-rechazos", requireRole('viewer'), async (req, res) => {
+    try {
+        const rechazos = await db.any("SELECT * FROM qr_rechazo ORDER BY created_at DESC LIMIT 100");
+        res.json(rechazos);
+    } catch (error) {
+        console.error("Error fetching QR rejections:", error);
+        res.status(500).json({ error: "Error fetching QR rejections" });
+    }
+});
+
+// Invalidate every QR code printed so far for a reparto, reprinting the label issues a valid one
+app.post("/api/reparto/:id/qr/revocar", requireRole('operator'), async (req, res) => {
+    try {
+        const reparto = await db.oneOrNone(
+            "UPDATE reparto SET qr_revocado_at = NOW() WHERE id = $1 RETURNING id, qr_revocado_at",
+            [req.params.id]
+        );
+        if (!reparto) {
+            return res.status(404).json({ error: "Reparto record not found" });
+        }
+
+        console.log(`✅ QR codes of reparto ${reparto.id} revoked by ${req.user.username}`);
+        res.json({ success: true, id: reparto.id, qr_revocado_at: reparto.qr_revocado_at });
+    } catch (error) {
+        console.error("Error revoking QR code:", error);
+        res.status(500).json({ error: "Error revoking QR code" });
+    }
+});
+
+// ---------------- RECEPTION ----------------
+
+// Give a reparto its storage slot and queue its entrada. The reparto row is locked so
+// a repeated scan waits for the first one and then sees its slot and job, and the
+// almacen row is locked so two pallets arriving at once cannot pick the same free position.
+async function allocateLocation(repartoId, solicitante) {
+    return db.tx(async t => {
+        const reparto = await t.oneOrNone(
+            `${REPARTO_SELECT} WHERE r.id = $1 FOR UPDATE OF r`,
+            [repartoId]
+        );
+        if (!reparto) {
+            return null;
+        }
+        if (reparto.location !== null) {
+            const job = await t.oneOrNone(
+                "SELECT * FROM operacion WHERE reparto_id = $1 AND tipo = 'entrada' ORDER BY id DESC LIMIT 1",
+                [reparto.id]
+            );
+            return { reparto, location: parseInt(reparto.location), job, repetido: true };
+        }
+
+        // A centre removed since the check of the caller has no free position either
+        const almacen = await t.oneOrNone("SELECT id FROM almacen WHERE id = $1 FOR UPDATE", [reparto.almacen]);
+        if (!almacen) {
+            return { reparto, location: null, repetido: false };
+        }
+
+        const location = await findAvailablePosition(reparto.almacen, reparto, t);
+        if (location === null) {
+            return { reparto, location: null, repetido: false };
+        }
+
+        await t.none(
+            "UPDATE reparto SET location = $1, timestamp_recepcion = NOW() WHERE id = $2",
+            [location, repartoId]
+        );
+        const job = await insertOperation({
+            tipo: 'entrada',
+            almacen: reparto.almacen,
+            repartoId: reparto.id,
+            lectura: reparto.lectura,
+            posicion: location,
+            cantidad: receivedBoxes(reparto),
+            solicitante: solicitante
+        }, t);
+        return { reparto, location, job, repetido: false };
+    });
+}
+
+// The quantity on record, never the one printed on the label
+function receivedBoxes(reparto) {
+    return parseInt(reparto.cantidad ?? reparto.cajas_por_palet ?? DEFAULT_BOXES_PER_PALLET);
+}
+
+// Receive a pallet: reserve its slot, queue the entrada and log the movement.
+// Scanning an already received pallet returns its existing assignment, resolves
+// with null when the almacen is full.
+async function receiveReparto(repartoId, solicitante) {
+    const allocation = await allocateLocation(repartoId, solicitante);
+    if (!allocation || allocation.location === null) {
+        return null;
+    }
+
+    const { reparto, location, job } = allocation;
+    const cantidad = receivedBoxes(reparto);
+
+    if (allocation.repetido) {
+        console.log(`↩️ Product ${reparto.id} already received at location ${location} in ${reparto.almacen} warehouse`);
+        return { location, cantidad, operacion: job ? job.id : null, repetido: true };
+    }
+
+    console.log(`✅ Product ${reparto.id} assigned to location ${location} in ${reparto.almacen} warehouse`);
+    broadcastReparto(reparto.id);
+    announceOperation(job);
+
+    await recordMovement({
+        tipo: 'recepcion',
+        repartoId: reparto.id,
+        almacen: reparto.almacen,
+        lectura: reparto.lectura,
+        cantidad: cantidad,
+        location: location,
+        operacionId: job.id,
+        solicitante: solicitante,
+        detalle: transferDetail(reparto)
+    });
+
+    return { location, cantidad, operacion: job.id, repetido: false };
+}
+
+// Fix the QR code entrada handler
+app.post("/api/qr-entrada", requireRole('operator'), async (req, res) => {
+    console.log("Received QR code data:", req.body);
+
+    try {
+        // The scanned text as `qr`, or its fields in a JSON body
+        let qrData = req.body;
+        if (typeof req.body.qr === 'string') {
+            try {
+                qrData = JSON.parse(req.body.qr);
+            } catch (error) {
+                qrData = null;
+            }
+        }
+
+        const { product, motivo } = await checkQrCode(qrData);
+        if (motivo) {
+            await rejectQrCode(qrData, motivo, 'api', req.user.username);
+            return res.status(motivo === 'no_encontrado' ? 404 : 403).json({ error: `QR code rejected: ${motivo}`, motivo });
+        }
+        if (!almacenes.has(product.almacen)) {
+            return res.status(409).json({ error: `Reparto ${product.id} belongs to unknown almacen ${product.almacen}` });
+        }
+        if (isEmergencyStopped(product.almacen)) {
+            return res.status(409).json({ error: `Emergency stop active in ${product.almacen}` });
+        }
+
+        const reception = await receiveReparto(product.id, req.user.username);
+        if (!reception) {
+            console.error(`No available positions in warehouse ${product.almacen}`);
+            return res.status(400).json({ error: `No available positions in warehouse ${product.almacen}` });
+        }
+
+        return res.status(200).json({
+            success: true,
+            location: reception.location,
+            cantidad: reception.cantidad,
+            operacion: reception.operacion,
+            repetido: reception.repetido,
+            transferencia: product.transferencia_de !== null,
+            message: reception.repetido
+                ? `Product already assigned to location ${reception.location}`
+                : `Product assigned to location ${reception.location}`
+        });
+
+    } catch (error) {
+        console.error('Error processing QR code entry:', error);
+        return res.status(500).json({ error: "Error processing QR code entry" });
+    }
+});
+
+// Fix the handleQrCodeEntry function to ensure numeric values
+async function handleQrCodeEntry(qrData) {
+    console.log("Received QR code data:", qrData);
+
+    try {
+        // The protocol layer already unwrapped and validated it, the signature says whether we issued it
+        const { product, motivo } = await checkQrCode(qrData);
+        if (motivo) {
+            await rejectQrCode(qrData, motivo, 'mqtt');
+            return;
+        }
+        if (!almacenes.has(product.almacen)) {
+            console.error(`❌ Ignoring QR code of reparto ${product.id}: unknown almacen ${product.almacen}`);
+            return;
+        }
+        if (isEmergencyStopped(product.almacen)) {
+            console.error(`🚨 Ignoring QR code of reparto ${product.id}: emergency stop active in ${product.almacen}`);
+            return;
+        }
+
+        const reception = await receiveReparto(product.id, 'QR');
+        if (!reception) {
+            console.error(`No available positions in warehouse ${product.almacen}`);
+        }
+    } catch (error) {
+        console.error('Error processing QR code entry:', error);
+    }
+}
+
+// Function to publish MQTT messages validated by the protocol layer
+function publishMqttMessage(topic, payload, almacen) {
+    // If almacen is specified and simulated, log instead of sending real messages
+    if (almacen && !isPhysicalAlmacen(almacen)) {
+        console.log(`🔄 [Simulation ${almacen}] Would publish to ${topic}:`, JSON.stringify(payload));
+        return true;
+    }
+
+    if (!mqttConnected) {
+        console.error(`❌ Cannot publish to ${topic}: MQTT client not connected`);
+        metrics.mqttPublishFailures.inc({ topic: topic, reason: 'disconnected' });
+        return false;
+    }
+
+    try {
+        const messageStr = protocol.encode(topic, payload);
+        mqttClient.publish(topic, messageStr, { qos: 1 }, (err) => {
+            if (err) {
+                console.error(`❌ Error publishing to ${topic}:`, err);
+                metrics.mqttPublishFailures.inc({ topic: topic, reason: 'broker' });
+                return false;
+            }
+            console.log(`📤 Published to ${topic}:`, messageStr);
+            metrics.mqttMessagesPublished.inc({ topic: topic });
+        });
+        return true;
+    } catch (error) {
+        console.error(`❌ Error preparing message for ${topic}:`, error.message);
+        metrics.mqttPublishFailures.inc({ topic: topic, reason: 'invalid' });
+        return false;
+    }
+}
+
+// Boxes to pick for an exit: the requested amount, or the whole pallet when none is given
+function exitQuantity(requested, reparto) {
+    const available = parseInt(reparto.cantidad || 0);
+    if (requested === undefined || requested === null || requested === '') {
+        return { cantidad: available };
+    }
+
+    const cantidad = Number(requested);
+    if (!Number.isInteger(cantidad) || cantidad < 1 || cantidad > available) {
+        return { error: `cantidad must be an integer between 1 and ${available}` };
+    }
+    return { cantidad };
+}
+
+// Update salida-particulares to handle almacen-specific behavior
+app.post("/api/salida-particulares", requireRole('operator'), async (req, res) => {
+    console.log("Received salida particulares request:", req.body);
+
+    try {
+        const { id } = req.body;
+
+        // Get reparto record to find position, cantidad and product details
+        const reparto = await db.oneOrNone(
+            "SELECT id, almacen, lectura, location, cantidad FROM reparto WHERE id = $1", // Include cantidad
+            [id]
+        );
+
+        if (!reparto) {
+            return res.status(404).json({ error: "Reparto record not found" });
+        }
+
+        if (!reparto.location) {
+            return res.status(400).json({ error: "This product is not stored in a warehouse location" });
+        }
+
+        const almacen = reparto.almacen;
+        if (isEmergencyStopped(almacen)) {
+            return res.status(409).json({ error: `Emergency stop active in ${almacen}` });
+        }
+
+        // Boxes to pick, the rest of the pallet stays in the rack
+        const { cantidad: boxCount, error: quantityError } = exitQuantity(req.body.cantidad, reparto);
+        if (quantityError) {
+            return res.status(400).json({ error: quantityError });
+        }
+
+        // Only one exit per pallet can be waiting on the line
+        if (await hasActiveOperation(reparto.id)) {
+            return res.status(409).json({ error: "This product already has a pending operation" });
+        }
+
+        // Queue the exit operation, the reparto is removed once its last box leaves the line
+        const job = await enqueueOperation({
+            tipo: 'salida_particulares',
+            almacen: almacen,
+            repartoId: reparto.id,
+            lectura: reparto.lectura,
+            posicion: reparto.location,
+            cantidad: boxCount,
+            solicitante: req.user.username
+        });
+
+        // Return success response with position and cantidad
+        res.status(200).json({
+            success: true,
+            posicion: reparto.location,
+            cantidad: boxCount,
+            almacen: almacen,
+            operacion: job.id,
+            simulation: !isPhysicalAlmacen(almacen)
+        });
+
+    } catch (error) {
+        if (isActiveOperationConflict(error)) {
+            return res.status(409).json({ error: "This product already has a pending operation" });
+        }
+        console.error('Error processing salida particulares:', error);
         res.status(500).json({ error: "Error processing salida particulares" });
     }
-});
+});
+
+// Add a new route to handle product exit to other center
+app.post("/api/salida-centro", requireRole('operator'), async (req, res) => {
+    console.log("Received salida centro request:", req.body);
+
+    try {
+        const { id, destino } = req.body;
+
+        if (!destino) {
+            return res.status(400).json({ error: "Missing destination almacen" });
+        }
+
+        // Get reparto record to find position, cantidad and product details
+        const reparto = await db.oneOrNone(
+            "SELECT id, almacen, lectura, location, cantidad FROM reparto WHERE id = $1", // Include cantidad
+            [id]
+        );
+
+        if (!reparto) {
+            return res.status(404).json({ error: "Reparto record not found" });
+        }
+
+        if (!reparto.location) {
+            return res.status(400).json({ error: "This product is not stored in a warehouse location" });
+        }
+
+        const almacen = reparto.almacen;
+        if (isEmergencyStopped(almacen)) {
+            return res.status(409).json({ error: `Emergency stop active in ${almacen}` });
+        }
+
+        // Boxes to send, the rest of the pallet stays in the rack
+        const { cantidad: boxCount, error: quantityError } = exitQuantity(req.body.cantidad, reparto);
+        if (quantityError) {
+            return res.status(400).json({ error: quantityError });
+        }
+
+        if (destino === almacen) {
+            return res.status(400).json({ error: "Destination must be a different almacen" });
+        }
+
+        if (!almacenes.has(destino)) {
+            return res.status(400).json({ error: `Unknown destination almacen ${destino}` });
+        }
+
+        // Only one exit per pallet can be waiting on the line
+        if (await hasActiveOperation(reparto.id)) {
+            return res.status(409).json({ error: "This product already has a pending operation" });
+        }
+
+        // Queue the exit operation, the reparto is removed once its last box leaves the line
+        const job = await enqueueOperation({
+            tipo: 'salida_centro',
+            almacen: almacen,
+            repartoId: reparto.id,
+            lectura: reparto.lectura,
+            posicion: reparto.location,
+            cantidad: boxCount,
+            destino: destino,
+            solicitante: req.user.username
+        });
+
+        // Return success response with position and cantidad
+        res.status(200).json({
+            success: true,
+            posicion: reparto.location,
+            cantidad: boxCount,
+            almacen: almacen,
+            destino: destino,
+            operacion: job.id,
+            simulation: !isPhysicalAlmacen(almacen)
+        });
+
+    } catch (error) {
+        if (isActiveOperationConflict(error)) {
+            return res.status(409).json({ error: "This product already has a pending operation" });
+        }
+        console.error('Error processing salida centro:', error);
+        res.status(500).json({ error: "Error processing salida centro" });
+    }
+});
+
+// What to do with the operation an emergency stop interrupted
+const RECOVERY_ACTIONS = ['reanudar', 'revertir'];
+
+// Stop every piece of equipment of a centre from the dashboard. body: { almacen }
+app.post("/api/emergency-stop", requireRole('operator'), async (req, res) => {
+    const { almacen } = req.body;
+    if (!almacenes.has(almacen)) {
+        return res.status(400).json({ error: `Unknown almacen ${almacen}` });
+    }
+
+    handleEmergencyStop(almacen, 'api', req.user.username);
+    res.status(200).json({ success: true, emergencyStop: systemState.emergencyStops[almacen] });
+});
+
+// Clear the emergency stop of a centre. body: { almacen, accion: 'reanudar' | 'revertir', cajas_pendientes }
+// The action is required when the stop interrupted an operation; almacen can be left
+// out while only one centre is stopped.
+app.post("/api/reset-emergency", requireRole('operator'), async (req, res) => {
+    const stopped = Object.keys(systemState.emergencyStops);
+    const almacen = req.body.almacen || (stopped.length === 1 ? stopped[0] : null);
+    const { accion } = req.body;
+
+    if (!almacen) {
+        return stopped.length === 0
+            ? res.status(409).json({ error: "No emergency stop is active" })
+            : res.status(400).json({ error: `Several centres are stopped, send almacen: ${stopped.join(', ')}` });
+    }
+    const stop = systemState.emergencyStops[almacen];
+    if (!stop) {
+        return res.status(409).json({ error: `No emergency stop is active in ${almacen}` });
+    }
+
+    const operation = stop.operacion;
+    if (operation && !RECOVERY_ACTIONS.includes(accion)) {
+        return res.status(400).json({
+            error: `Operation ${operation.jobId} was interrupted, accion must be one of ${RECOVERY_ACTIONS.join(', ')}`,
+            operacion: operation
+        });
+    }
+    if (operation && accion === 'reanudar' && !mqttConnected) {
+        return res.status(409).json({ error: "Cannot resume the operation while the MQTT broker is unreachable" });
+    }
+
+    // Boxes can be counted by hand before resuming, the saved count may be stale
+    const pendingBoxes = req.body.cajas_pendientes;
+    if (pendingBoxes !== undefined && (!Number.isInteger(pendingBoxes) || pendingBoxes < 0 || (operation && pendingBoxes > operation.cantidad))) {
+        return res.status(400).json({ error: "cajas_pendientes must be an integer between 0 and the boxes of the operation" });
+    }
+
+    try {
+        const recovered = operation && pendingBoxes !== undefined ? { ...operation, pendingBoxes } : operation;
+        if (recovered && accion === 'revertir') {
+            await rollbackInterruptedOperation(recovered);
+        }
+        delete systemState.emergencyStops[almacen];
+        recordLineEvent('rearme', {
+            almacen: almacen,
+            operacion: recovered,
+            detalle: { accion: recovered ? accion : null, solicitante: req.user.username }
+        });
+        if (recovered && accion === 'reanudar') {
+            resumeInterruptedOperation(recovered);
+        }
+
+        console.log(`🔄 Emergency stop of ${almacen} reset by ${req.user.username}${operation ? ` (${accion} operation ${operation.jobId})` : ''}`);
+        broadcastSystemStatus();
+
+        // Resume the queue that was held by the stop
+        processQueue(almacen);
+
+        res.status(200).json({
+            success: true,
+            message: "Emergency stop reset",
+            almacen: almacen,
+            accion: operation ? accion : null,
+            operacion: operation ? operation.jobId : null
+        });
+    } catch (error) {
+        console.error('Error resetting emergency stop:', error);
+        res.status(500).json({ error: `Error resetting emergency stop: ${error.message}` });
+    }
+});
+
+// Add a route to get current system status
+app.get("/api/system-status", requireRole('viewer'), async (req, res) => {
+    res.status(200).json({
+        systemState,
+        connected: mqttConnected
+    });
+});
+
+const LINE_EVENT_SORTS = {
+    created_at: "c.created_at",
+    id: "c.id"
+};
+
+// Recent transitions of the line, newest first. Filters: almacen, evento
+// (fase, fin, parada_emergencia, rearme, reinicio) and operacion; plus sort, order, limit and cursor
+app.get("/api/system-status/history", requireRole('viewer'), async (req, res) => {
+    const page = parsePageQuery(req.query, LINE_EVENT_SORTS, 'created_at', 'desc');
+    if (page.error) {
+        return res.status(400).json({ error: page.error });
+    }
+
+    const where = [];
+    const params = [];
+    if (req.query.almacen) {
+        params.push(req.query.almacen);
+        where.push(`c.almacen = $${params.length}`);
+    }
+    if (req.query.evento) {
+        params.push(req.query.evento);
+        where.push(`c.evento = $${params.length}`);
+    }
+    if (req.query.operacion) {
+        const operacion = parseInt(req.query.operacion);
+        if (isNaN(operacion)) {
+            return res.status(400).json({ error: "operacion must be an operation id" });
+        }
+        params.push(operacion);
+        where.push(`c.operacion_id = $${params.length}`);
+    }
+
+    try {
+        res.json(await fetchPage(db, { from: 'estado_linea_historial c', where, params, page }));
+    } catch (error) {
+        console.error("Error fetching line history:", error);
+        res.status(500).json({ error: "Error fetching line history" });
+    }
+});
+
+// Modify the /api/enviar endpoint to include cantidad field
+app.post("/api/enviar", requireRole('operator'), async (req, res) => {
+    console.log(req.body);
+    const { lectura, almacen, cantidad } = req.body; // Add cantidad to destructuring
+    console.log("Received data:", req.body);
+
+    if (!almacenes.has(almacen)) {
+        return res.status(400).json({ error: `Unknown almacen ${almacen}` });
+    }
+
+    const { fields: envio, error } = shipments.parseShipment(req.body);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+
+    try {
+        const product = await db.oneOrNone("SELECT cajas_por_palet, activo FROM producto WHERE id = $1", [lectura]);
+        if (!product) {
+            return res.status(400).json({ error: `Unknown product ${lectura}` });
+        }
+        if (!product.activo) {
+            return res.status(409).json({ error: `Product ${lectura} is archived` });
+        }
+
+        // Insert the data into the database, a full pallet of the product unless told otherwise
+        const currentTime = new Date();
+        const cantidadValue = cantidad ? parseInt(cantidad) : (product.cajas_por_palet || DEFAULT_BOXES_PER_PALLET);
+
+        // Due after the lead time of the route unless the sender gives the date
+        const dias = await leadTimeDays(envio.origen, almacen);
+
+        await db.none(
+            `INSERT INTO reparto(almacen, lectura, timestamp, cantidad, origen, transportista, referencia, fecha_prevista)
+             VALUES($1, $2, $3, $4, $5, $6, $7, COALESCE($8::date, $3::date + $9::int))`,
+            [almacen, lectura, currentTime, cantidadValue, envio.origen, envio.transportista, envio.referencia, envio.fecha_prevista, dias]
+        );
+        console.log("Data inserted successfully with cantidad:", cantidadValue);
+
+        // Get the ID of the newly inserted record
+        const insertedRecord = await db.one(
+            "SELECT id FROM reparto WHERE almacen = $1 AND lectura = $2 AND timestamp = $3",
+            [almacen, lectura, currentTime]
+        );
+
+        await recordMovement({
+            tipo: 'creacion',
+            repartoId: insertedRecord.id,
+            almacen: almacen,
+            lectura: lectura,
+            cantidad: cantidadValue,
+            solicitante: req.user.username
+        });
+
+        broadcastReparto(insertedRecord.id);
+
+        // Generate QR code with this data
+        generateQRCode(insertedRecord.id, lectura, cantidadValue);
+
+        // The dashboard submits JSON, plain HTML forms still get redirected
+        if (req.is('application/json')) {
+            return res.status(201).json({ success: true, id: insertedRecord.id });
+        }
+        res.redirect(redirectURL);
+    } catch (error) {
+        console.error("Error inserting data:", error);
+        res.status(500).send("Error inserting data");
+    }
+});
+
+// Sortable columns of the listings, never NULL so they can be used in a cursor
+const PRODUCTO_SORTS = {
+    id: "c.id",
+    producto: "c.producto",
+    shelf_life: `COALESCE(c.shelf_life, ${DEFAULT_SHELF_LIFE_DAYS})`
+};
+
+const REPARTO_SORTS = {
+    id: "c.id",
+    timestamp: "COALESCE(c.timestamp, '-infinity')",
+    recepcion: "COALESCE(c.timestamp_recepcion, '-infinity')",
+    caducidad: "COALESCE(c.fecha_caducidad, '-infinity')",
+    llegada: "COALESCE(c.fecha_prevista, '-infinity')",
+    cantidad: "COALESCE(c.cantidad, 0)",
+    location: "COALESCE(c.location, 0)",
+    producto: "COALESCE(c.producto_nombre, '')"
+};
+
+// Route to fetch products: ?q=&activo=true|false&sort=id|producto|shelf_life&order=&limit=&cursor=
+app.get("/api/productos", requireRole('viewer'), async (req, res) => {
+    const page = parsePageQuery(req.query, PRODUCTO_SORTS, 'id');
+    if (page.error) {
+        return res.status(400).json({ error: page.error });
+    }
+    if (req.query.activo !== undefined && !['true', 'false'].includes(req.query.activo)) {
+        return res.status(400).json({ error: "activo must be true or false" });
+    }
+
+    const where = [];
+    const params = [];
+    if (req.query.q) {
+        params.push(`%${req.query.q}%`);
+        where.push(`(c.id ILIKE $${params.length} OR c.producto ILIKE $${params.length})`);
+    }
+    if (req.query.activo !== undefined) {
+        params.push(req.query.activo === 'true');
+        where.push(`c.activo = $${params.length}`);
+    }
+
+    try {
+        res.json(await fetchPage(db, { from: 'producto c', where, params, page }));
+    } catch (error) {
+        console.error("Error fetching productos:", error);
+        res.status(500).send("Error fetching productos");
+    }
+});
+
+// Route to fetch reparto records. Filters: almacen, status (en_ruta | en_almacen),
+// envio (shipment status), producto, desde / hasta (shipment date), recibido_desde /
+// recibido_hasta and q (text search); plus sort, order, limit and cursor
+app.get("/api/repartos", requireRole('viewer'), async (req, res) => {
+    const { almacen, status, envio, producto, q } = req.query;
+
+    const page = parsePageQuery(req.query, REPARTO_SORTS, 'timestamp', 'desc');
+    if (page.error) {
+        return res.status(400).json({ error: page.error });
+    }
+    if (status && !['en_ruta', 'en_almacen'].includes(status)) {
+        return res.status(400).json({ error: "status must be en_ruta or en_almacen" });
+    }
+    if (envio && !shipments.STATUSES[envio]) {
+        return res.status(400).json({ error: `envio must be one of ${Object.keys(shipments.STATUSES).join(', ')}` });
+    }
+
+    const where = [];
+    const params = [];
+    const filter = (condition, value) => {
+        params.push(value);
+        where.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (almacen) filter("c.almacen = ?", almacen);
+    if (producto) filter("c.lectura = ?", producto);
+    if (status === 'en_ruta') where.push("c.timestamp_recepcion IS NULL");
+    if (status === 'en_almacen') where.push("c.timestamp_recepcion IS NOT NULL");
+    if (envio) filter("c.estado_envio = ?", envio);
+    if (q) {
+        params.push(q);
+        const n = params.length;
+        where.push(`(c.id::text = $${n} OR c.lectura ILIKE '%' || $${n} || '%' OR c.producto_nombre ILIKE '%' || $${n} || '%')`);
+    }
+
+    const dateFilters = {
+        desde: "c.timestamp >= ?",
+        hasta: "c.timestamp <= ?",
+        recibido_desde: "c.timestamp_recepcion >= ?",
+        recibido_hasta: "c.timestamp_recepcion <= ?"
+    };
+    for (const [name, condition] of Object.entries(dateFilters)) {
+        if (req.query[name] === undefined) continue;
+        if (isNaN(Date.parse(req.query[name]))) {
+            return res.status(400).json({ error: `${name} must be a date` });
+        }
+        filter(condition, req.query[name]);
+    }
+
+    try {
+        res.json(await fetchPage(db, { from: `(${REPARTO_SELECT}) c`, where, params, page }));
+    } catch (error) {
+        console.error("Error fetching repartos:", error);
+        res.status(500).send("Error fetching repartos");
+    }
+});
+
+// Route to add a new product
+app.post("/api/productos/add", requireRole('admin'), async (req, res) => {
+    console.log('Received add product request:', req.body);
+    const { id } = req.body;
+
+    if (!id) {
+        return res.status(400).json({ error: "id is required" });
+    }
+    const { fields, errors } = products.parseProduct(req.body);
+    if (errors) {
+        return res.status(400).json({ error: errors.map(error => error.error).join(', '), errors });
+    }
+
+    try {
+        // Check if product with this ID already exists
+        const existing = await db.oneOrNone('SELECT id FROM producto WHERE id = $1', [id]);
+        if (existing) {
+            return res.status(409).send(`Product with ID ${id} already exists`);
+        }
+
+        // Insert the new product
+        const columns = Object.keys(fields);
+        const product = await db.one(
+            `INSERT INTO producto (id, ${columns.join(', ')})
+             VALUES ($1, ${columns.map((column, i) => `$${i + 2}`).join(', ')})
+             RETURNING *`,
+            [id, ...Object.values(fields)]
+        );
+
+        console.log('Product added successfully:', id);
+        res.status(201).json({
+            success: true,
+            message: 'Producto añadido correctamente',
+            product: product
+        });
+    } catch (error) {
+        console.error('Error adding product:', error);
+        res.status(500).send(`Error adding product: ${error.message}`);
+    }
+});
+
+// Edit a product. PUT replaces every attribute (the missing ones go back to their
+// defaults), PATCH only changes the ones in the body. The id cannot change: stock
+// and history refer to it.
+function updateProduct(partial) {
+    return async (req, res) => {
+        const { id } = req.params;
+
+        if (req.body.id !== undefined && req.body.id !== id) {
+            return res.status(400).json({ error: "The id of a product cannot be changed" });
+        }
+        const { fields, errors } = products.parseProduct(req.body, { partial });
+        if (errors) {
+            return res.status(400).json({ error: errors.map(error => error.error).join(', '), errors });
+        }
+        const columns = Object.keys(fields);
+        if (columns.length === 0) {
+            return res.status(400).json({ error: `Nothing to update, send any of ${Object.keys(products.FIELDS).join(', ')}` });
+        }
+
+        try {
+            const product = await db.oneOrNone(
+                `UPDATE producto SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}
+                 WHERE id = $1
+                 RETURNING *`,
+                [id, ...Object.values(fields)]
+            );
+            if (!product) {
+                return res.status(404).json({ error: `Product with ID ${id} not found` });
+            }
+
+            console.log(`✅ Product ${id} updated by ${req.user.username}: ${columns.join(', ')}`);
+            res.json({ success: true, product: product });
+        } catch (error) {
+            console.error('Error updating product:', error);
+            res.status(500).json({ error: `Error updating product: ${error.message}` });
+        }
+    };
+}
+
+app.put("/api/productos/:id", requireRole('admin'), updateProduct(false));
+app.patch("/api/productos/:id", requireRole('admin'), updateProduct(true));
+
+// Route to remove a product
+app.post("/api/productos/remove/:id", requireRole('admin'), async (req, res) => {
+    const { id } = req.params;
+    console.log('Received remove product request for id:', id);
+
+    try {
+        // Check if product exists
+        const product = await db.oneOrNone('SELECT id FROM producto WHERE id = $1', [id]);
+        if (!product) {
+            return res.status(404).send(`Product with ID ${id} not found`);
+        }
+
+        // Check if product is being used in reparto
+        const inUse = await db.oneOrNone('SELECT id FROM reparto WHERE lectura = $1', [id]);
+        if (inUse) {
+            return res.status(409).send(
+                `Cannot delete product ${id} because it is in use in the inventory system`
+            );
+        }
+
+        // Delete the product
+        await db.none('DELETE FROM producto WHERE id = $1', [id]);
+
+        console.log('Product removed successfully:', id);
+        res.json({
+            success: true,
+            message: 'Producto eliminado correctamente',
+            id: id
+        });
+    } catch (error) {
+        console.error('Error removing product:', error);
+        res.status(500).send(`Error removing product: ${error.message}`);
+    }
+});
+
+// ---------------- SHIPMENT TRACKING ----------------
+
+// Lead time in days of a shipment from origen to destino: the one of the route, else
+// the one of the destination for any origin, else DEFAULT_LEAD_TIME_DAYS
+async function leadTimeDays(origen, destino, t = db) {
+    const plazo = await t.oneOrNone(
+        `SELECT dias FROM plazo_entrega
+         WHERE destino = $2 AND origen IN ($1, $3)
+         ORDER BY origen = $3
+         LIMIT 1`,
+        [origen || shipments.ANY_ORIGIN, destino, shipments.ANY_ORIGIN]
+    );
+    return plazo ? plazo.dias : DEFAULT_LEAD_TIME_DAYS;
+}
+
+// Route to list the lead times, with the default for routes without one
+app.get("/api/plazos-entrega", requireRole('viewer'), async (req, res) => {
+    try {
+        const plazos = await db.any(
+            "SELECT * FROM plazo_entrega ORDER BY destino, origen = $1 DESC, origen",
+            [shipments.ANY_ORIGIN]
+        );
+        res.json({ por_defecto: DEFAULT_LEAD_TIME_DAYS, plazos: plazos });
+    } catch (error) {
+        console.error("Error fetching plazos de entrega:", error);
+        res.status(500).send("Error fetching plazos de entrega");
+    }
+});
+
+// Route to set the lead time of a route, for shipments sent from now on
+app.put("/api/plazos-entrega", requireRole('admin'), async (req, res) => {
+    const { fields, error } = shipments.parseLeadTime(req.body);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+    if (!almacenes.has(fields.destino)) {
+        return res.status(400).json({ error: `Unknown almacen ${fields.destino}` });
+    }
+
+    try {
+        const plazo = await db.one(
+            `INSERT INTO plazo_entrega (origen, destino, dias) VALUES ($1, $2, $3)
+             ON CONFLICT (origen, destino) DO UPDATE SET dias = EXCLUDED.dias
+             RETURNING *`,
+            [fields.origen, fields.destino, fields.dias]
+        );
+
+        console.log(`✅ Lead time from ${plazo.origen} to ${plazo.destino} set to ${plazo.dias} days by ${req.user.username}`);
+        res.json({ success: true, plazo: plazo });
+    } catch (error) {
+        console.error("Error saving plazo de entrega:", error);
+        res.status(500).json({ error: `Error saving plazo de entrega: ${error.message}` });
+    }
+});
+
+// Route to remove the lead time of a route, use * as origen for the one of any origin
+app.delete("/api/plazos-entrega/:destino/:origen", requireRole('admin'), async (req, res) => {
+    const { destino, origen } = req.params;
+
+    try {
+        const result = await db.result(
+            "DELETE FROM plazo_entrega WHERE destino = $1 AND origen = $2",
+            [destino, origen]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: `No lead time from ${origen} to ${destino}` });
+        }
+
+        console.log(`✅ Lead time from ${origen} to ${destino} removed by ${req.user.username}`);
+        res.json({ success: true, destino: destino, origen: origen });
+    } catch (error) {
+        console.error("Error removing plazo de entrega:", error);
+        res.status(500).json({ error: `Error removing plazo de entrega: ${error.message}` });
+    }
+});
+
+// Shipments of a centre due today and overdue, plus how many are on their way later
+app.get("/api/repartos/llegadas", requireRole('viewer'), async (req, res) => {
+    const { almacen } = req.query;
+
+    if (!almacenes.has(almacen)) {
+        return res.status(400).json({ error: `Unknown almacen ${almacen}` });
+    }
+
+    try {
+        const result = await db.task(async t => {
+            const pendientes = await t.any(
+                `SELECT c.*, CURRENT_DATE - c.fecha_prevista AS dias_retraso
+                 FROM (${REPARTO_SELECT}) c
+                 WHERE c.almacen = $1 AND c.estado_envio IN ('llega_hoy', 'retrasado')
+                 ORDER BY c.fecha_prevista, c.id`,
+                [almacen]
+            );
+            const resumen = await t.one(
+                `SELECT CURRENT_DATE AS fecha, COUNT(*)::int AS en_ruta
+                 FROM (${REPARTO_SELECT}) c
+                 WHERE c.almacen = $1 AND c.estado_envio = 'en_ruta'`,
+                [almacen]
+            );
+            return { pendientes, resumen };
+        });
+
+        res.json({
+            almacen: almacen,
+            fecha: result.resumen.fecha,
+            hoy: result.pendientes.filter(reparto => reparto.estado_envio === 'llega_hoy'),
+            retrasados: result.pendientes.filter(reparto => reparto.estado_envio === 'retrasado'),
+            en_ruta: result.resumen.en_ruta
+        });
+    } catch (error) {
+        console.error("Error fetching llegadas:", error);
+        res.status(500).send("Error fetching llegadas");
+    }
+});
+
+// ---------------- NOTIFICATIONS ----------------
+
+// Longest wait between two attempts of a delivery
+const NOTIFICATION_MAX_BACKOFF_SECONDS = 3600;
+
+// Email channel, only when SMTP_HOST is set
+const mailer = notifications.createMailer(process.env);
+let deliveriesRunning = false;
+let deliveriesRequested = false;
+
+// Queue the event for every active subscription to its type and centre
+async function notify(evento, almacen, datos) {
+    try {
+        const queued = await db.result(
+            `INSERT INTO notificacion_envio (suscripcion_id, canal, destino, evento, almacen, payload)
+             SELECT id, canal, destino, $1, $2, $3
+             FROM suscripcion
+             WHERE activa AND $1 = ANY(eventos) AND (almacen IS NULL OR almacen = $2)`,
+            [evento, almacen || null, datos]
+        );
+        if (queued.rowCount > 0) {
+            console.log(`🔔 Queued ${queued.rowCount} notification(s) for ${evento}${almacen ? ` in ${almacen}` : ''}`);
+            processDeliveries();
+        }
+    } catch (error) {
+        console.error(`❌ Error queuing ${evento} notifications:`, error);
+    }
+}
+
+// Send the deliveries that are due. Calls made while a run is in progress start
+// another run when it ends.
+async function processDeliveries() {
+    if (deliveriesRunning) {
+        deliveriesRequested = true;
+        return;
+    }
+    deliveriesRunning = true;
+
+    try {
+        const due = await db.any(
+            `SELECT e.*, s.secreto
+             FROM notificacion_envio e
+             LEFT JOIN suscripcion s ON s.id = e.suscripcion_id
+             WHERE e.estado = 'pendiente' AND e.siguiente_intento <= NOW()
+             ORDER BY e.siguiente_intento, e.id
+             LIMIT 50`
+        );
+        await Promise.all(due.map(deliver));
+    } catch (error) {
+        console.error("❌ Error processing notifications:", error);
+    } finally {
+        deliveriesRunning = false;
+        if (deliveriesRequested) {
+            deliveriesRequested = false;
+            processDeliveries();
+        }
+    }
+}
 
-// Add a new route to handle product exit to other center
-app.post("/api/salida-centro", bodyParser.json(), async (req, res) => {
-    console.log("Received salida centro request:", req.body);
+// One attempt of a delivery: marks it delivered, or schedules the next attempt until
+// it runs out of them
+async function deliver(delivery) {
+    const intentos = delivery.intentos + 1;
+    try {
+        let status = null;
+        if (!delivery.suscripcion_id) {
+            throw new Error("The subscription was removed");
+        }
+        if (delivery.canal === 'webhook') {
+            status = await notifications.sendWebhook(delivery, delivery.secreto, { timeoutMs: WEBHOOK_TIMEOUT_MS });
+        } else {
+            if (!mailer) {
+                throw new Error("SMTP is not configured, set SMTP_HOST");
+            }
+            await notifications.sendEmail(mailer, SMTP_FROM, delivery);
+        }
 
-    // Verify authorization
-    if (!verifyPwd(req, res)) {
-        return;
+        await db.none(
+            `UPDATE notificacion_envio
+             SET estado = 'entregado', intentos = $2, respuesta_status = $3, ultimo_error = NULL, entregado_at = NOW()
+             WHERE id = $1`,
+            [delivery.id, intentos, status]
+        );
+        console.log(`📬 Notification ${delivery.id} (${delivery.evento}) delivered to ${delivery.destino}`);
+    } catch (error) {
+        const failed = intentos >= NOTIFICATION_MAX_ATTEMPTS || !delivery.suscripcion_id;
+        const wait = notifications.backoffSeconds(intentos, NOTIFICATION_RETRY_SECONDS, NOTIFICATION_MAX_BACKOFF_SECONDS);
+        console.warn(`⚠️ Notification ${delivery.id} to ${delivery.destino} failed (attempt ${intentos}): ${error.message}` +
+            (failed ? ', giving up' : `, retrying in ${wait} s`));
+
+        await db.none(
+            `UPDATE notificacion_envio
+             SET estado = $2, intentos = $3, respuesta_status = $4, ultimo_error = $5,
+                 siguiente_intento = NOW() + make_interval(secs => $6)
+             WHERE id = $1`,
+            [delivery.id, failed ? 'fallido' : 'pendiente', intentos, error.status || null, error.message, wait]
+        ).catch(updateError => {
+            console.error(`❌ Error recording attempt of notification ${delivery.id}:`, updateError);
+        });
     }
+}
 
+// Shipments in transit past their expected arrival date, the "retrasado" status of
+// REPARTO_SELECT. Each one is reported once.
+async function checkDelayedShipments() {
     try {
-        const { id } = req.body;
+        const delayed = await db.any(
+            `UPDATE reparto r SET retraso_notificado_at = NOW()
+             FROM (${REPARTO_SELECT}) c
+             WHERE r.id = c.id
+               AND r.retraso_notificado_at IS NULL
+               AND c.estado_envio = 'retrasado'
+             RETURNING r.id, r.almacen, r.lectura, c.producto_nombre, r.cantidad, r.origen, r.transportista,
+                       r.referencia, r.timestamp, r.fecha_prevista, CURRENT_DATE - r.fecha_prevista AS dias_retraso`
+        );
 
-        // Get reparto record to find position, cantidad and product details
-        const reparto = await db.oneOrNone(
-            "SELECT id, almacen, lectura, location, cantidad FROM reparto WHERE id = $1", // Include cantidad
-            [id]
+        delayed.forEach(reparto => {
+            const dias = Math.ceil((Date.now() - reparto.timestamp.getTime()) / (24 * 60 * 60 * 1000));
+            console.log(`⏰ Reparto ${reparto.id} (${reparto.lectura}) to ${reparto.almacen} was due ${reparto.fecha_prevista}, ${reparto.dias_retraso} days late`);
+            notify('reparto_retrasado', reparto.almacen, {
+                id: reparto.id,
+                lectura: reparto.lectura,
+                producto: reparto.producto_nombre,
+                cantidad: reparto.cantidad,
+                origen: reparto.origen,
+                transportista: reparto.transportista,
+                referencia: reparto.referencia,
+                enviado: reparto.timestamp.toISOString(),
+                fecha_prevista: reparto.fecha_prevista,
+                dias_en_ruta: dias,
+                dias_retraso: reparto.dias_retraso
+            });
+        });
+    } catch (error) {
+        console.error("❌ Error checking delayed shipments:", error);
+    }
+}
+
+// Retry due deliveries and look for delayed shipments periodically
+function startNotifications() {
+    processDeliveries();
+    setInterval(processDeliveries, NOTIFICATION_POLL_SECONDS * 1000);
+
+    if (DELAY_CHECK_MINUTES) {
+        console.log(`⏰ Checking for delayed shipments every ${DELAY_CHECK_MINUTES} minutes`);
+        checkDelayedShipments();
+        setInterval(checkDelayedShipments, DELAY_CHECK_MINUTES * 60 * 1000);
+    }
+}
+
+// Event types a subscription can ask for
+app.get("/api/notificaciones/eventos", requireRole('viewer'), (req, res) => {
+    res.json(Object.entries(notifications.EVENTS).map(([id, descripcion]) => ({ id, descripcion })));
+});
+
+// Route to list the subscriptions, with their webhook secrets
+app.get("/api/suscripciones", requireRole('admin'), async (req, res) => {
+    try {
+        res.json(await db.any("SELECT * FROM suscripcion ORDER BY created_at, id"));
+    } catch (error) {
+        console.error("Error fetching suscripciones:", error);
+        res.status(500).json({ error: "Error fetching suscripciones" });
+    }
+});
+
+// Events raised by a periodic check, with the setting that turns the check off
+const CHECKED_EVENTS = {
+    stock_caducado: ['EXPIRY_CHECK_MINUTES', EXPIRY_CHECK_MINUTES],
+    reparto_retrasado: ['DELAY_CHECK_MINUTES', DELAY_CHECK_MINUTES]
+};
+
+// Error message for a subscription that cannot be saved, or null
+function subscriptionError(suscripcion) {
+    const destinationError = notifications.validateDestination(suscripcion.canal, suscripcion.destino);
+    if (destinationError) {
+        return destinationError;
+    }
+    if (suscripcion.almacen && !almacenes.has(suscripcion.almacen)) {
+        return `Unknown almacen ${suscripcion.almacen}`;
+    }
+    if (suscripcion.canal === 'email' && !mailer) {
+        return "Email notifications need an SMTP server, set SMTP_HOST";
+    }
+    const disabled = suscripcion.eventos.find(evento => CHECKED_EVENTS[evento] && !CHECKED_EVENTS[evento][1]);
+    if (disabled) {
+        return `${disabled} is never sent while ${CHECKED_EVENTS[disabled][0]} is 0`;
+    }
+    return null;
+}
+
+// Route to add a subscription: { canal, destino, eventos, almacen?, activa? }.
+// Webhooks get a new signing secret.
+app.post("/api/suscripciones", requireRole('admin'), async (req, res) => {
+    const { fields, error } = notifications.parseSubscription(req.body);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+    const invalid = subscriptionError(fields);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+
+    try {
+        const suscripcion = await db.one(
+            `INSERT INTO suscripcion (canal, destino, eventos, almacen, secreto, activa)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+            [fields.canal, fields.destino, fields.eventos, fields.almacen || null,
+                fields.canal === 'webhook' ? notifications.newSecret() : null, fields.activa ?? true]
         );
 
-        if (!reparto) {
-            return res.status(404).json({ error: "Reparto record not found" });
-        }
+        console.log(`✅ ${suscripcion.canal} subscription ${suscripcion.id} to ${suscripcion.destino} added by ${req.user.username}`);
+        res.status(201).json({ success: true, suscripcion: suscripcion });
+    } catch (error) {
+        console.error("Error adding suscripcion:", error);
+        res.status(500).json({ error: `Error adding suscripcion: ${error.message}` });
+    }
+});
 
-        if (!reparto.location) {
-            return res.status(400).json({ error: "This product is not stored in a warehouse location" });
-        }
+// Route to change a subscription, only the fields present are updated.
+// regenerar_secreto: true gives a webhook a new signing secret.
+app.put("/api/suscripciones/:id", requireRole('admin'), async (req, res) => {
+    const id = parseInt(req.params.id);
+    const { fields, error } = notifications.parseSubscription(req.body, { partial: true });
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
 
-        const almacen = reparto.almacen;
-        const boxCount = reparto.cantidad || 10; // Use the stored cantidad or default to 10
-
-        // Store the exit operation in the system state
-        systemState.currentOperation = {
-            type: 'salida_centro',
-            position: reparto.location,
-            productId: reparto.lectura,
-            cantidad: boxCount, // Add cantidad to the operation state
-            almacen: almacen,
-            phase: 'picking_from_storage',
-            agvTargetPosition: reparto.location
-        };
-
-        // Only send MQTT messages for Vera campus
-        if (almacen === "Vera") {
-            // Publish directive with cantidad
-            publishMqttMessage('PR2A1/acciones/directriz', `{"accion": "salida_centro", "posicion": "${reparto.location}", "cantidad": "${boxCount}"}`);
-            console.log(`✅ Physical automation started for Vera warehouse at position ${reparto.location} with ${boxCount} boxes`);
-        } else {
-            // For non-Vera campuses, just log the simulation
-            console.log(`🔄 [Simulation ${almacen}] Would send MQTT messages to start picking pallet at position ${reparto.location} with ${boxCount} boxes`);
+    try {
+        const current = await db.oneOrNone("SELECT * FROM suscripcion WHERE id = $1", [id]);
+        if (!current) {
+            return res.status(404).json({ error: `Subscription ${id} not found` });
         }
 
-        // Remove from database
-        await db.none('DELETE FROM reparto WHERE id = $1', [id]);
+        const updated = { ...current, ...fields };
+        const invalid = subscriptionError(updated);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        if (updated.canal !== 'webhook') {
+            updated.secreto = null;
+        } else if (!updated.secreto || req.body.regenerar_secreto === true) {
+            updated.secreto = notifications.newSecret();
+        }
 
-        // Return success response with position and cantidad
-        res.status(200).json({
-            success: true,
-            posicion: reparto.location,
-            cantidad: boxCount,
-            almacen: almacen,
-            simulation: almacen !== "Vera"
-        });
+        const suscripcion = await db.one(
+            `UPDATE suscripcion
+             SET canal = $2, destino = $3, eventos = $4, almacen = $5, secreto = $6, activa = $7
+             WHERE id = $1 RETURNING *`,
+            [id, updated.canal, updated.destino, updated.eventos, updated.almacen, updated.secreto, updated.activa]
+        );
 
+        console.log(`✅ Subscription ${id} updated by ${req.user.username}`);
+        res.json({ success: true, suscripcion: suscripcion });
     } catch (error) {
-        console.error('Error processing salida centro:', error);
-        res.status(500).json({ error: "Error processing salida centro" });
+        console.error("Error updating suscripcion:", error);
+        res.status(500).json({ error: `Error updating suscripcion: ${error.message}` });
     }
 });
 
-// Add a route to reset emergency stop state
-app.post("/api/reset-emergency", bodyParser.json(), async (req, res) => {
-    // Verify authorization
-    if (!verifyPwd(req, res)) {
-        return;
+// Route to remove a subscription, its deliveries stay in the log
+app.delete("/api/suscripciones/:id", requireRole('admin'), async (req, res) => {
+    const id = parseInt(req.params.id);
+
+    try {
+        const result = await db.result("DELETE FROM suscripcion WHERE id = $1", [id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: `Subscription ${id} not found` });
+        }
+
+        console.log(`✅ Subscription ${id} removed by ${req.user.username}`);
+        res.json({ success: true, id: id });
+    } catch (error) {
+        console.error("Error removing suscripcion:", error);
+        res.status(500).json({ error: `Error removing suscripcion: ${error.message}` });
     }
+});
+
+// Route to send a test message to a subscription, paused or not
+app.post("/api/suscripciones/:id/probar", requireRole('admin'), async (req, res) => {
+    const id = parseInt(req.params.id);
 
-    systemState.emergencyStop = false;
-    console.log('🔄 Emergency stop reset');
+    try {
+        const envio = await db.oneOrNone(
+            `INSERT INTO notificacion_envio (suscripcion_id, canal, destino, evento, almacen, payload)
+             SELECT id, canal, destino, 'prueba', almacen, $2
+             FROM suscripcion WHERE id = $1
+             RETURNING *`,
+            [id, { mensaje: "Mensaje de prueba de ROBOInventory", solicitante: req.user.username }]
+        );
+        if (!envio) {
+            return res.status(404).json({ error: `Subscription ${id} not found` });
+        }
 
-    res.status(200).json({ success: true, message: "Emergency stop reset" });
+        processDeliveries();
+        res.status(202).json({ success: true, envio: envio });
+    } catch (error) {
+        console.error("Error testing suscripcion:", error);
+        res.status(500).json({ error: `Error testing suscripcion: ${error.message}` });
+    }
 });
 
-// Add a route to get current system status
-app.get("/api/system-status", async (req, res) => {
-    res.status(200).json({
-        systemState,
-        connected: mqttConnected
+const DELIVERY_SORTS = {
+    created_at: "c.created_at",
+    id: "c.id"
+};
+
+// Delivery log, newest first. Filters: suscripcion, estado (pendiente, entregado,
+// fallido), evento and almacen; plus sort, order, limit and cursor
+app.get("/api/notificaciones", requireRole('admin'), async (req, res) => {
+    const page = parsePageQuery(req.query, DELIVERY_SORTS, 'created_at', 'desc');
+    if (page.error) {
+        return res.status(400).json({ error: page.error });
+    }
+
+    const where = [];
+    const params = [];
+    if (req.query.suscripcion) {
+        const suscripcion = parseInt(req.query.suscripcion);
+        if (isNaN(suscripcion)) {
+            return res.status(400).json({ error: "suscripcion must be a subscription id" });
+        }
+        params.push(suscripcion);
+        where.push(`c.suscripcion_id = $${params.length}`);
+    }
+    ['estado', 'evento', 'almacen'].forEach(filter => {
+        if (req.query[filter]) {
+            params.push(req.query[filter]);
+            where.push(`c.${filter} = $${params.length}`);
+        }
     });
+
+    try {
+        res.json(await fetchPage(db, { from: 'notificacion_envio c', where, params, page }));
+    } catch (error) {
+        console.error("Error fetching notificaciones:", error);
+        res.status(500).json({ error: "Error fetching notificaciones" });
+    }
 });
 
-// Modify the /api/enviar endpoint to include cantidad field
-app.post("/api/enviar", async (req, res) => {
-    console.log(req.body);
-    const { lectura, almacen, cantidad } = req.body; // Add cantidad to destructuring
-    console.log("Received data:", req.body);
+// Route to try a failed delivery again, with a fresh set of attempts
+app.post("/api/notificaciones/:id/reintentar", requireRole('admin'), async (req, res) => {
+    const id = parseInt(req.params.id);
 
-    if (verifyPwd(req, res)) {
-        try {
-            // Insert the data into the database with cantidad field
-            const currentTime = new Date();
-            const cantidadValue = cantidad ? parseInt(cantidad) : 12;
+    try {
+        const current = await db.oneOrNone("SELECT estado FROM notificacion_envio WHERE id = $1", [id]);
+        if (!current) {
+            return res.status(404).json({ error: `Delivery ${id} not found` });
+        }
+        if (current.estado !== 'fallido') {
+            return res.status(409).json({ error: `Delivery ${id} is ${current.estado}, only failed deliveries can be retried` });
+        }
 
-            await db.none(
-                "INSERT INTO reparto(almacen, lectura, timestamp, cantidad) VALUES($1, $2, $3, $4)",
-                [almacen, lectura, currentTime, cantidadValue]
-            );
-            console.log("Data inserted successfully with cantidad:", cantidadValue);
+        const envio = await db.one(
+            `UPDATE notificacion_envio
+             SET estado = 'pendiente', intentos = 0, siguiente_intento = NOW()
+             WHERE id = $1 RETURNING *`,
+            [id]
+        );
 
-            // Get the ID of the newly inserted record
-            const insertedRecord = await db.one(
-                "SELECT id FROM reparto WHERE almacen = $1 AND lectura = $2 AND timestamp = $3",
-                [almacen, lectura, currentTime]
-            );
+        processDeliveries();
+        res.json({ success: true, envio: envio });
+    } catch (error) {
+        console.error("Error retrying notificacion:", error);
+        res.status(500).json({ error: `Error retrying notificacion: ${error.message}` });
+    }
+});
 
-            // Generate QR code with this data
-            generateQRCode(insertedRecord.id, lectura, cantidadValue);
+// ---------------- ANALYTICS ----------------
+
+// Status topics stored in telemetria, the equipo column is what follows the prefix
+const TELEMETRY_PREFIX = 'PR2A1/status/';
+const CONVEYORS = ['conveyor_1', 'conveyor_2'];
+// Longest range the analytics routes accept, in days
+const MAX_ANALYTICS_DAYS = 366;
+const THROUGHPUT_INTERVALS = ['hour', 'day'];
+
+// Store a status message of the line equipment. Only the physical centre has equipment.
+function recordTelemetry(equipo, valor) {
+    db.none(
+        "INSERT INTO telemetria (almacen, equipo, valor) VALUES ($1, $2, $3)",
+        [getPhysicalAlmacen() || null, equipo, valor]
+    ).catch(error => {
+        console.error(`❌ Error recording ${equipo} telemetry:`, error);
+    });
+}
 
-            res.redirect(redirectURL);
-        } catch (error) {
-            console.error("Error inserting data:", error);
-            res.status(500).send("Error inserting data");
+async function pruneTelemetry() {
+    try {
+        const result = await db.result(
+            "DELETE FROM telemetria WHERE created_at < NOW() - make_interval(days => $1)",
+            [TELEMETRY_RETENTION_DAYS]
+        );
+        if (result.rowCount > 0) {
+            console.log(`🧹 Removed ${result.rowCount} telemetry rows older than ${TELEMETRY_RETENTION_DAYS} days`);
         }
+    } catch (error) {
+        console.error("❌ Error pruning telemetry:", error);
+    }
+}
+
+// Optional: set TELEMETRY_RETENTION_DAYS to drop old telemetry once a day
+function startTelemetryPruning() {
+    if (!TELEMETRY_RETENTION_DAYS) {
+        return;
+    }
+    pruneTelemetry();
+    setInterval(pruneTelemetry, 24 * 60 * 60 * 1000);
+}
+
+// Date range of an analytics request: desde and hasta are dates (YYYY-MM-DD), both
+// included, the last 7 days by default. Returns { desde, hasta, almacen } or { error }.
+function analyticsRange(query) {
+    const day = 24 * 60 * 60 * 1000;
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+    const hasta = query.hasta || new Date().toISOString().slice(0, 10);
+    const desde = query.desde || new Date(new Date(hasta).getTime() - 6 * day).toISOString().slice(0, 10);
+    if (!isDate(desde) || !isDate(hasta)) {
+        return { error: "desde and hasta must be dates (YYYY-MM-DD)" };
+    }
+
+    const days = (new Date(hasta) - new Date(desde)) / day + 1;
+    if (days < 1) {
+        return { error: "desde must not be after hasta" };
+    }
+    if (days > MAX_ANALYTICS_DAYS) {
+        return { error: `The range cannot be longer than ${MAX_ANALYTICS_DAYS} days` };
+    }
+    if (query.almacen && !almacenes.has(query.almacen)) {
+        return { error: `Unknown almacen ${query.almacen}` };
+    }
+    return { desde, hasta, almacen: query.almacen || null };
+}
+
+// Pallets handled per hour (or day) and centre: finished entradas and salidas.
+// Filters: desde, hasta, almacen and intervalo (hour or day)
+app.get("/api/analytics/throughput", requireRole('viewer'), async (req, res) => {
+    const range = analyticsRange(req.query);
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
+    const intervalo = req.query.intervalo || 'hour';
+    if (!THROUGHPUT_INTERVALS.includes(intervalo)) {
+        return res.status(400).json({ error: `intervalo must be one of ${THROUGHPUT_INTERVALS.join(", ")}` });
     }
-});
 
-// Route to fetch all products
-app.get("/api/productos", async (req, res) => {
-    console.log("Received request for productos");
     try {
-        const productos = await db.any("SELECT * FROM producto");
-        res.json(productos);
+        const series = await db.any(
+            `SELECT almacen, date_trunc($4, finished_at) AS periodo,
+                    COUNT(*) FILTER (WHERE tipo = 'entrada')::int AS entradas,
+                    COUNT(*) FILTER (WHERE tipo <> 'entrada')::int AS salidas
+             FROM operacion
+             WHERE status = 'done'
+               AND finished_at >= $1::date AND finished_at < $2::date + 1
+               AND ($3 IS NULL OR almacen = $3)
+             GROUP BY 1, 2
+             ORDER BY 2, 1`,
+            [range.desde, range.hasta, range.almacen, intervalo]
+        );
+
+        // Average over the hours of the range that have already passed
+        const end = Math.min(Date.now(), new Date(`${range.hasta}T00:00:00`).getTime() + 24 * 60 * 60 * 1000);
+        const hours = Math.max(1, (end - new Date(`${range.desde}T00:00:00`).getTime()) / (60 * 60 * 1000));
+        const totals = new Map();
+        series.forEach(row => {
+            const total = totals.get(row.almacen) || { almacen: row.almacen, entradas: 0, salidas: 0 };
+            total.entradas += row.entradas;
+            total.salidas += row.salidas;
+            totals.set(row.almacen, total);
+        });
+
+        res.json({
+            desde: range.desde,
+            hasta: range.hasta,
+            intervalo: intervalo,
+            series: series.map(row => ({ ...row, palets: row.entradas + row.salidas })),
+            resumen: [...totals.values()].map(total => {
+                const palets = total.entradas + total.salidas;
+                return { ...total, palets: palets, palets_por_hora: Math.round(palets / hours * 100) / 100 };
+            })
+        });
     } catch (error) {
-        console.error("Error fetching productos:", error);
-        res.status(500).send("Error fetching productos");
+        console.error("Error fetching throughput:", error);
+        res.status(500).json({ error: "Error fetching throughput" });
     }
 });
 
-// Route to fetch all reparto records
-app.get("/api/repartos", async (req, res) => {
+// Average time of each phase of the operations finished in the range, by operation
+// type. A phase lasts until the next event of its operation, so time spent under an
+// emergency stop is left out; ciclo (start to finish) and espera (in the queue) include it.
+app.get("/api/analytics/cycle-times", requireRole('viewer'), async (req, res) => {
+    const range = analyticsRange(req.query);
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
+    const params = [range.desde, range.hasta, range.almacen];
+    const finished = `
+        SELECT * FROM operacion
+        WHERE status = 'done'
+          AND finished_at >= $1::date AND finished_at < $2::date + 1
+          AND ($3 IS NULL OR almacen = $3)`;
+
     try {
-        const repartos = await db.any("SELECT * FROM reparto");
-        res.json(repartos);
+        const [fases, ciclos] = await Promise.all([
+            db.any(
+                `WITH eventos AS (
+                     SELECT h.operacion_id, h.evento, h.fase, h.created_at,
+                            LEAD(h.created_at) OVER (PARTITION BY h.operacion_id ORDER BY h.created_at, h.id) AS siguiente
+                     FROM estado_linea_historial h
+                     WHERE h.operacion_id IN (SELECT id FROM (${finished}) f)
+                 )
+                 SELECT o.tipo, e.fase, COUNT(*)::int AS muestras,
+                        AVG(EXTRACT(EPOCH FROM e.siguiente - e.created_at))::float AS media_segundos
+                 FROM eventos e
+                 JOIN (${finished}) o ON o.id = e.operacion_id
+                 WHERE e.evento = 'fase' AND e.fase <> 'done' AND e.siguiente IS NOT NULL
+                 GROUP BY o.tipo, e.fase
+                 ORDER BY o.tipo, AVG(EXTRACT(EPOCH FROM e.created_at - o.started_at))`,
+                params
+            ),
+            db.any(
+                `SELECT tipo, COUNT(*)::int AS operaciones,
+                        AVG(EXTRACT(EPOCH FROM finished_at - started_at))::float AS ciclo_medio_segundos,
+                        AVG(EXTRACT(EPOCH FROM started_at - created_at))::float AS espera_media_segundos
+                 FROM (${finished}) o
+                 GROUP BY tipo
+                 ORDER BY tipo`,
+                params
+            )
+        ]);
+
+        res.json({
+            desde: range.desde,
+            hasta: range.hasta,
+            tipos: ciclos.map(ciclo => ({
+                ...ciclo,
+                fases: fases
+                    .filter(fase => fase.tipo === ciclo.tipo)
+                    .map(({ tipo, ...fase }) => fase)
+            }))
+        });
     } catch (error) {
-        console.error("Error fetching repartos:", error);
-        res.status(500).send("Error fetching repartos");
+        console.error("Error fetching cycle times:", error);
+        res.status(500).json({ error: "Error fetching cycle times" });
     }
 });
 
-// Route to add a new product
-app.post("/api/productos/add", bodyParser.json(), async (req, res) => {
-    console.log('Received add product request:', req.body);
-    const { id, producto, shelf_life } = req.body;
+// Share of each day a conveyor spent running. Every status message holds until the
+// next one; the state before the range comes from the last message sent before it.
+app.get("/api/analytics/conveyors", requireRole('viewer'), async (req, res) => {
+    const range = analyticsRange(req.query);
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
 
-    // Verify the Authorization header for bearer token
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-        const token = authHeader.substring(7);
-        if (token === process.env.ADMIN_PWD) {
-            try {
-                // Check if product with this ID already exists
-                const existing = await db.oneOrNone('SELECT id FROM producto WHERE id = $1', [id]);
-                if (existing) {
-                    return res.status(409).send(`Product with ID ${id} already exists`);
-                }
+    try {
+        const rows = await db.any(
+            `WITH limites AS (
+                 SELECT $1::date::timestamptz AS desde, LEAST(($2::date + 1)::timestamptz, NOW()) AS hasta
+             ),
+             muestras AS (
+                 SELECT * FROM (
+                     SELECT DISTINCT ON (t.equipo) t.equipo, t.valor->>'estado' AS estado, l.desde AS created_at
+                     FROM telemetria t, limites l
+                     WHERE t.equipo = ANY($4) AND t.created_at < l.desde AND ($3 IS NULL OR t.almacen = $3)
+                     ORDER BY t.equipo, t.created_at DESC, t.id DESC
+                 ) previas
+                 UNION ALL
+                 SELECT t.equipo, t.valor->>'estado', t.created_at
+                 FROM telemetria t, limites l
+                 WHERE t.equipo = ANY($4) AND t.created_at >= l.desde AND t.created_at < l.hasta
+                   AND ($3 IS NULL OR t.almacen = $3)
+             ),
+             tramos AS (
+                 SELECT equipo, lower(estado) <> 'parado' AS en_marcha, created_at AS inicio,
+                        COALESCE(LEAD(created_at) OVER (PARTITION BY equipo ORDER BY created_at),
+                                 (SELECT hasta FROM limites)) AS fin
+                 FROM muestras
+             ),
+             dias AS (
+                 SELECT d::date AS dia, d::date::timestamptz AS inicio, (d::date + 1)::timestamptz AS fin
+                 FROM generate_series($1::date, $2::date, INTERVAL '1 day') d
+             )
+             SELECT t.equipo, dias.dia,
+                    SUM(EXTRACT(EPOCH FROM LEAST(t.fin, dias.fin) - GREATEST(t.inicio, dias.inicio)))::float AS observado_segundos,
+                    COALESCE(SUM(EXTRACT(EPOCH FROM LEAST(t.fin, dias.fin) - GREATEST(t.inicio, dias.inicio)))
+                        FILTER (WHERE t.en_marcha), 0)::float AS en_marcha_segundos
+             FROM tramos t
+             JOIN dias ON t.inicio < dias.fin AND t.fin > dias.inicio
+             GROUP BY t.equipo, dias.dia
+             ORDER BY t.equipo, dias.dia`,
+            [range.desde, range.hasta, range.almacen, CONVEYORS]
+        );
 
-                // Insert the new product
-                await db.none(
-                    'INSERT INTO producto (id, producto, shelf_life) VALUES ($1, $2, $3)',
-                    [id, producto, shelf_life]
-                );
-
-                console.log('Product added successfully:', id);
-                res.status(201).json({
-                    success: true,
-                    message: 'Producto añadido correctamente',
-                    product: { id, producto, shelf_life }
-                });
-            } catch (error) {
-                console.error('Error adding product:', error);
-                res.status(500).send(`Error adding product: ${error.message}`);
-            }
-        } else {
-            res.status(403).send('Invalid authorization token');
-        }
-    } else {
-        // Fallback to form-based password check for backward compatibility
-        if (verifyPwd(req, res)) {
-            try {
-                // Same implementation as above
-                const existing = await db.oneOrNone('SELECT id FROM producto WHERE id = $1', [id]);
-                if (existing) {
-                    return res.status(409).send(`Product with ID ${id} already exists`);
-                }
+        const utilisation = (running, observed) => observed > 0 ? Math.round(running / observed * 1000) / 1000 : null;
+        res.json({
+            desde: range.desde,
+            hasta: range.hasta,
+            conveyors: CONVEYORS.map(equipo => {
+                const days = rows.filter(row => row.equipo === equipo);
+                const observed = days.reduce((sum, row) => sum + row.observado_segundos, 0);
+                const running = days.reduce((sum, row) => sum + row.en_marcha_segundos, 0);
+                return {
+                    equipo: equipo,
+                    observado_segundos: observed,
+                    en_marcha_segundos: running,
+                    utilizacion: utilisation(running, observed),
+                    por_dia: days.map(row => ({
+                        dia: row.dia,
+                        observado_segundos: row.observado_segundos,
+                        en_marcha_segundos: row.en_marcha_segundos,
+                        utilizacion: utilisation(row.en_marcha_segundos, row.observado_segundos)
+                    }))
+                };
+            })
+        });
+    } catch (error) {
+        console.error("Error fetching conveyor utilisation:", error);
+        res.status(500).json({ error: "Error fetching conveyor utilisation" });
+    }
+});
 
-                await db.none(
-                    'INSERT INTO producto (id, producto, shelf_life) VALUES ($1, $2, $3)',
-                    [id, producto, shelf_life]
-                );
+// AGV trips per day: moves to another position (with or without a pallet), pallets
+// picked up and dropped, and how often each position was visited
+app.get("/api/analytics/agv", requireRole('viewer'), async (req, res) => {
+    const range = analyticsRange(req.query);
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
+    const samples = `
+        SELECT created_at, ubicacion, estado,
+               LAG(ubicacion) OVER (ORDER BY created_at, id) AS ubicacion_anterior,
+               LAG(estado) OVER (ORDER BY created_at, id) AS estado_anterior
+        FROM (
+            SELECT id, created_at, (valor->>'ubicacion')::int AS ubicacion, valor->>'estado' AS estado
+            FROM telemetria
+            WHERE equipo = 'agv'
+              AND created_at >= $1::date AND created_at < $2::date + 1
+              AND ($3 IS NULL OR almacen = $3)
+        ) agv`;
+    const params = [range.desde, range.hasta, range.almacen];
 
-                console.log('Product added successfully:', id);
-                res.status(201).json({
-                    success: true,
-                    message: 'Producto añadido correctamente',
-                    product: { id, producto, shelf_life }
-                });
-            } catch (error) {
-                console.error('Error adding product:', error);
-                res.status(500).send(`Error adding product: ${error.message}`);
-            }
-        }
+    try {
+        const [dias, posiciones] = await Promise.all([
+            db.any(
+                `SELECT created_at::date AS dia,
+                        COUNT(*) FILTER (WHERE ubicacion <> ubicacion_anterior)::int AS viajes,
+                        COUNT(*) FILTER (WHERE ubicacion <> ubicacion_anterior AND estado = 'pick')::int AS viajes_con_palet,
+                        COUNT(*) FILTER (WHERE estado = 'pick' AND estado_anterior = 'drop')::int AS recogidas,
+                        COUNT(*) FILTER (WHERE estado = 'drop' AND estado_anterior = 'pick')::int AS entregas
+                 FROM (${samples}) s
+                 GROUP BY 1
+                 ORDER BY 1`,
+                params
+            ),
+            db.any(
+                `SELECT ubicacion, COUNT(*)::int AS llegadas
+                 FROM (${samples}) s
+                 WHERE ubicacion <> ubicacion_anterior
+                 GROUP BY ubicacion
+                 ORDER BY ubicacion`,
+                params
+            )
+        ]);
+
+        const total = key => dias.reduce((sum, dia) => sum + dia[key], 0);
+        res.json({
+            desde: range.desde,
+            hasta: range.hasta,
+            viajes: total('viajes'),
+            viajes_con_palet: total('viajes_con_palet'),
+            recogidas: total('recogidas'),
+            entregas: total('entregas'),
+            por_dia: dias,
+            por_posicion: posiciones
+        });
+    } catch (error) {
+        console.error("Error fetching AGV analytics:", error);
+        res.status(500).json({ error: "Error fetching AGV analytics" });
     }
 });
 
-// Route to remove a product
-app.post("/api/productos/remove/:id", bodyParser.json(), async (req, res) => {
-    const { id } = req.params;
-    console.log('Received remove product request for id:', id);
+// Emergency stops per day and centre, and how long the line stayed stopped: from the
+// first stop to the reset that cleared it
+app.get("/api/analytics/emergency-stops", requireRole('viewer'), async (req, res) => {
+    const range = analyticsRange(req.query);
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
+    const params = [range.desde, range.hasta, range.almacen];
 
-    // Verify the Authorization header for bearer token
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-        const token = authHeader.substring(7);
-        if (token === process.env.ADMIN_PWD) {
-            try {
-                // Check if product exists
-                const product = await db.oneOrNone('SELECT id FROM producto WHERE id = $1', [id]);
-                if (!product) {
-                    return res.status(404).send(`Product with ID ${id} not found`);
-                }
+    try {
+        const [dias, duraciones] = await Promise.all([
+            db.any(
+                `SELECT created_at::date AS dia, almacen, COUNT(*)::int AS paradas
+                 FROM movimiento
+                 WHERE tipo = 'parada_emergencia'
+                   AND created_at >= $1::date AND created_at < $2::date + 1
+                   AND ($3 IS NULL OR almacen = $3)
+                 GROUP BY 1, 2
+                 ORDER BY 1, 2`,
+                params
+            ),
+            db.any(
+                `WITH eventos AS (
+                     SELECT almacen, evento, created_at,
+                            COUNT(*) FILTER (WHERE evento = 'rearme') OVER (
+                                PARTITION BY almacen ORDER BY created_at, id
+                                ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+                            ) AS episodio
+                     FROM estado_linea_historial
+                     WHERE evento IN ('parada_emergencia', 'rearme')
+                       AND created_at >= $1::date AND created_at < $2::date + 1
+                       AND ($3 IS NULL OR almacen = $3)
+                 ),
+                 episodios AS (
+                     SELECT almacen,
+                            MIN(created_at) FILTER (WHERE evento = 'parada_emergencia') AS inicio,
+                            MAX(created_at) FILTER (WHERE evento = 'rearme') AS fin
+                     FROM eventos
+                     GROUP BY almacen, episodio
+                 )
+                 SELECT almacen, COUNT(*)::int AS rearmadas,
+                        AVG(EXTRACT(EPOCH FROM fin - inicio))::float AS duracion_media_segundos,
+                        MAX(EXTRACT(EPOCH FROM fin - inicio))::float AS duracion_maxima_segundos
+                 FROM episodios
+                 WHERE inicio IS NOT NULL AND fin IS NOT NULL
+                 GROUP BY almacen
+                 ORDER BY almacen`,
+                params
+            )
+        ]);
+
+        const centres = [...new Set([...dias.map(dia => dia.almacen), ...duraciones.map(row => row.almacen)])].sort();
+        res.json({
+            desde: range.desde,
+            hasta: range.hasta,
+            por_dia: dias,
+            resumen: centres.map(almacen => {
+                const duracion = duraciones.find(row => row.almacen === almacen);
+                return {
+                    almacen: almacen,
+                    paradas: dias.filter(dia => dia.almacen === almacen).reduce((sum, dia) => sum + dia.paradas, 0),
+                    rearmadas: duracion ? duracion.rearmadas : 0,
+                    duracion_media_segundos: duracion ? duracion.duracion_media_segundos : null,
+                    duracion_maxima_segundos: duracion ? duracion.duracion_maxima_segundos : null
+                };
+            })
+        });
+    } catch (error) {
+        console.error("Error fetching emergency stop analytics:", error);
+        res.status(500).json({ error: "Error fetching emergency stop analytics" });
+    }
+});
 
-                // Check if product is being used in reparto
-                const inUse = await db.oneOrNone('SELECT id FROM reparto WHERE lectura = $1', [id]);
-                if (inUse) {
-                    return res.status(409).send(
-                        `Cannot delete product ${id} because it is in use in the inventory system`
-                    );
-                }
+// ---------------- IMPORT / EXPORT ----------------
+
+const MAX_IMPORT_BYTES = '5mb';
+
+const PRODUCTO_COLUMNS = [
+    { key: 'id', header: 'id' },
+    { key: 'producto', header: 'producto', width: 32 },
+    { key: 'shelf_life', header: 'shelf_life' },
+    { key: 'cajas_por_palet', header: 'cajas_por_palet' },
+    { key: 'peso_caja_kg', header: 'peso_caja_kg' },
+    { key: 'largo_caja_cm', header: 'largo_caja_cm' },
+    { key: 'ancho_caja_cm', header: 'ancho_caja_cm' },
+    { key: 'alto_caja_cm', header: 'alto_caja_cm' },
+    { key: 'temperatura', header: 'temperatura' },
+    { key: 'activo', header: 'activo', width: 10 }
+];
+
+const REPARTO_COLUMNS = [
+    { key: 'id', header: 'id', width: 8 },
+    { key: 'almacen', header: 'almacen' },
+    { key: 'lectura', header: 'lectura' },
+    { key: 'producto_nombre', header: 'producto', width: 32 },
+    { key: 'cantidad', header: 'cantidad', width: 10 },
+    { key: 'location', header: 'posicion', width: 10 },
+    { key: 'timestamp', header: 'fecha_envio', width: 24 },
+    { key: 'origen', header: 'origen', width: 16 },
+    { key: 'transportista', header: 'transportista', width: 16 },
+    { key: 'referencia', header: 'referencia', width: 16 },
+    { key: 'fecha_prevista', header: 'fecha_prevista', width: 14 },
+    { key: 'estado_envio', header: 'estado_envio', width: 12 },
+    { key: 'timestamp_recepcion', header: 'fecha_recepcion', width: 24 },
+    { key: 'fecha_caducidad', header: 'fecha_caducidad', width: 24 },
+    { key: 'dias_restantes', header: 'dias_restantes', width: 14 },
+    { key: 'estado_caducidad', header: 'estado_caducidad', width: 16 }
+];
+
+// Send an export as a download named after the listing and today's date
+async function sendExport(res, format, name, columns, rows) {
+    const { body, contentType } = await spreadsheet.exportRows(format, name, columns, rows);
+    const date = new Date().toISOString().slice(0, 10);
+    res.type(contentType)
+        .set('Content-Disposition', `attachment; filename="${name}_${date}.${format}"`)
+        .send(body);
+}
 
-                // Delete the product
-                await db.none('DELETE FROM producto WHERE id = $1', [id]);
+function exportFormat(req) {
+    const format = req.query.format || 'csv';
+    return Object.keys(spreadsheet.FORMATS).includes(format) ? format : null;
+}
 
-                console.log('Product removed successfully:', id);
-                res.json({
-                    success: true,
-                    message: 'Producto eliminado correctamente',
-                    id: id
-                });
-            } catch (error) {
-                console.error('Error removing product:', error);
-                res.status(500).send(`Error removing product: ${error.message}`);
-            }
-        } else {
-            res.status(403).send('Invalid authorization token');
+// Check an imported product row, returns { product } or { errors }. Only the
+// attributes with a column in the file are set, the rest keep their value.
+function validateProductRow(row) {
+    const errors = [];
+    const { _row, id, ...attributes } = row;
+
+    if (!id) errors.push({ row: _row, field: 'id', error: "id is required" });
+    if (!('producto' in attributes)) attributes.producto = '';
+
+    const result = products.parseProduct(attributes, { partial: true });
+    if (result.errors) {
+        errors.push(...result.errors.map(error => ({ row: _row, ...error })));
+    }
+
+    return errors.length > 0 ? { errors } : { product: { id, fields: result.fields } };
+}
+
+// Bulk create or update products from a CSV or XLSX file sent as the request body.
+// With ?dry_run=true nothing is written and the response only previews the changes.
+// A file with any invalid row is rejected as a whole.
+app.post("/api/productos/import", requireRole('admin'),
+    express.raw({ type: Object.values(spreadsheet.FORMATS).concat(['text/plain', 'application/csv']), limit: MAX_IMPORT_BYTES }),
+    async (req, res) => {
+        const format = spreadsheet.formatOf(req.headers['content-type']);
+        const dryRun = req.query.dry_run === 'true' || req.query.dry_run === '1';
+
+        if (!format || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: "Send a CSV or XLSX file as the request body" });
         }
-    } else {
-        // Fallback to form-based password check for backward compatibility
-        if (verifyPwd(req, res)) {
-            try {
-                // Same implementation as above
-                const product = await db.oneOrNone('SELECT id FROM producto WHERE id = $1', [id]);
-                if (!product) {
-                    return res.status(404).send(`Product with ID ${id} not found`);
+
+        try {
+            const rows = await spreadsheet.importRows(format, req.body);
+            if (rows.length === 0) {
+                return res.status(400).json({ error: "The file has no product rows" });
+            }
+
+            const errors = [];
+            const imported = [];
+            const seen = new Map();
+            rows.forEach(row => {
+                const result = validateProductRow(row);
+                if (result.errors) {
+                    errors.push(...result.errors);
+                } else if (seen.has(result.product.id)) {
+                    errors.push({ row: row._row, field: 'id', error: `Duplicate of row ${seen.get(result.product.id)}` });
+                } else {
+                    seen.set(result.product.id, row._row);
+                    imported.push({ ...result.product, row: row._row });
+                }
+            });
+
+            // Compare with the catalogue to tell creations from updates
+            const current = imported.length > 0
+                ? await db.any("SELECT * FROM producto WHERE id IN ($1:csv)", [imported.map(product => product.id)])
+                : [];
+            const existing = new Map(current.map(product => [product.id, product]));
+            const preview = imported.map(product => {
+                const stored = existing.get(product.id);
+                let action = 'create';
+                if (stored) {
+                    action = products.sameProduct(stored, product.fields) ? 'unchanged' : 'update';
                 }
+                return { id: product.id, row: product.row, ...product.fields, action };
+            });
+            const summary = {
+                dryRun: dryRun,
+                total: rows.length,
+                created: preview.filter(product => product.action === 'create').length,
+                updated: preview.filter(product => product.action === 'update').length,
+                unchanged: preview.filter(product => product.action === 'unchanged').length,
+                errors: errors,
+                rows: preview
+            };
+
+            if (errors.length > 0) {
+                return res.status(dryRun ? 200 : 422).json(summary);
+            }
+            if (dryRun) {
+                return res.json(summary);
+            }
 
-                const inUse = await db.oneOrNone('SELECT id FROM reparto WHERE lectura = $1', [id]);
-                if (inUse) {
-                    return res.status(409).send(
-                        `Cannot delete product ${id} because it is in use in the inventory system`
+            await db.tx(async t => {
+                for (const product of imported.filter((product, i) => preview[i].action !== 'unchanged')) {
+                    const columns = Object.keys(product.fields);
+                    await t.none(
+                        `INSERT INTO producto (id, ${columns.join(', ')})
+                         VALUES ($1, ${columns.map((column, i) => `$${i + 2}`).join(', ')})
+                         ON CONFLICT (id) DO UPDATE SET ${columns.map(column => `${column} = EXCLUDED.${column}`).join(', ')}`,
+                        [product.id, ...Object.values(product.fields)]
                     );
                 }
+            });
+            console.log(`✅ Imported products by ${req.user.username}: ${summary.created} created, ${summary.updated} updated`);
+            res.json(summary);
+        } catch (error) {
+            console.error('Error importing products:', error);
+            res.status(500).json({ error: `Error importing products: ${error.message}` });
+        }
+    });
 
-                await db.none('DELETE FROM producto WHERE id = $1', [id]);
+// Product catalogue as CSV or XLSX: ?format=csv|xlsx
+app.get("/api/productos/export", requireRole('viewer'), async (req, res) => {
+    const format = exportFormat(req);
+    if (!format) {
+        return res.status(400).json({ error: "format must be csv or xlsx" });
+    }
 
-                console.log('Product removed successfully:', id);
-                res.json({
-                    success: true,
-                    message: 'Producto eliminado correctamente',
-                    id: id
-                });
-            } catch (error) {
-                console.error('Error removing product:', error);
-                res.status(500).send(`Error removing product: ${error.message}`);
-            }
-        }
+    try {
+        const productos = await db.any("SELECT * FROM producto ORDER BY id");
+        await sendExport(res, format, 'productos', PRODUCTO_COLUMNS, productos);
+    } catch (error) {
+        console.error('Error exporting products:', error);
+        res.status(500).json({ error: "Error exporting products" });
     }
 });
 
-function verifyPwd(req, res) {
-    const { password } = req.body;
-    if (password === process.env.ADMIN_PWD) {
-        return true;
-    } else {
-        res.status(403).send("Forbidden");
-        return false;
+// Shipments and stock of a centre as CSV or XLSX, with their expiry status:
+// ?almacen=&status=en_ruta|en_almacen&format=csv|xlsx
+app.get("/api/repartos/export", requireRole('viewer'), async (req, res) => {
+    const { almacen, status } = req.query;
+    const format = exportFormat(req);
+
+    if (!format) {
+        return res.status(400).json({ error: "format must be csv or xlsx" });
+    }
+    if (status && !['en_ruta', 'en_almacen'].includes(status)) {
+        return res.status(400).json({ error: "status must be en_ruta or en_almacen" });
+    }
+
+    try {
+        const repartos = await db.any(
+            `SELECT c.*,
+                    CEIL(EXTRACT(EPOCH FROM (c.fecha_caducidad - NOW())) / 86400)::int AS dias_restantes
+             FROM (${REPARTO_SELECT}) c
+             WHERE ($1 IS NULL OR c.almacen = $1)
+               AND ($2 IS NULL OR ($2 = 'en_ruta') = (c.timestamp_recepcion IS NULL))
+             ORDER BY c.almacen, c.location NULLS LAST, c.id`,
+            [almacen || null, status || null]
+        );
+        const rows = repartos.map(reparto => ({ ...reparto, estado_caducidad: expiryStatus(reparto.dias_restantes) }));
+
+        const name = ['inventario', almacen, status].filter(Boolean).join('_');
+        await sendExport(res, format, name, REPARTO_COLUMNS, rows);
+    } catch (error) {
+        console.error('Error exporting repartos:', error);
+        res.status(500).json({ error: "Error exporting repartos" });
     }
+});
+
+const QR_OPTIONS = {
+    color: {
+        dark: '#000000',
+        light: '#ffffff'
+    },
+    width: 300,
+    margin: 1
+};
+
+// Contents of the QR code printed on a pallet, signed so the line can tell it was issued here
+function qrPayload(reparto) {
+    return JSON.stringify(signQrPayload({
+        id: reparto.id,
+        lectura: reparto.lectura,
+        cantidad: reparto.cantidad
+    }, qrSecret));
 }
 
 // Function to generate QR code and save it to disk
@@ -833,11 +3866,7 @@ async function generateQRCode(id, lectura, cantidad) {
         await fs.ensureDir(qrDir);
 
         // Create the QR data
-        const qrData = {
-            id: id,
-            lectura: lectura,
-            cantidad: cantidad
-        };
+        const qrData = qrPayload({ id, lectura, cantidad });
 
         // Format the timestamp
         const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, '');
@@ -847,17 +3876,10 @@ async function generateQRCode(id, lectura, cantidad) {
         const filePath = path.join(qrDir, filename);
 
         // Generate the QR code
-        await QRCode.toFile(filePath, JSON.stringify(qrData), {
-            color: {
-                dark: '#000000',
-                light: '#ffffff'
-            },
-            width: 300,
-            margin: 1
-        });
+        await QRCode.toFile(filePath, qrData, QR_OPTIONS);
 
         console.log(`✅ QR code generated and saved at: ${filePath}`);
-        console.log(`📱 QR code contains: ${JSON.stringify(qrData)}`);
+        console.log(`📱 QR code contains: ${qrData}`);
 
         return filePath;
     } catch (error) {
@@ -0,0 +1,93 @@
+// PDF pallet labels: the QR code plus the data an operator needs to read at a glance.
+//
+// A label is { id, producto, lectura, cantidad, almacen, fechaEnvio, fechaCaducidad, qr }
+// where qr is the PNG buffer of the pallet QR code.
+
+const PDFDocument = require("pdfkit");
+
+// 100 x 70 mm label, in PDF points
+const LABEL_SIZE = [283, 198];
+
+// A4 sheet: two columns of four labels
+const A4_SIZE = [595.28, 841.89];
+const SHEET_COLUMNS = 2;
+const SHEET_ROWS = 4;
+const SHEET_MARGIN = 14;
+
+function formatDate(date) {
+    return date ? new Date(date).toLocaleDateString("es-ES") : "—";
+}
+
+function drawLabel(doc, label, x, y, width, height) {
+    const padding = 10;
+    const qrSize = height - padding * 2;
+    const textX = x + padding + qrSize + padding;
+    const textWidth = width - qrSize - padding * 3;
+
+    doc.rect(x, y, width, height).lineWidth(0.5).stroke("#999999");
+    doc.image(label.qr, x + padding, y + padding, { width: qrSize, height: qrSize });
+
+    doc.fillColor("#000000")
+        .font("Helvetica-Bold").fontSize(13)
+        .text(label.producto || label.lectura, textX, y + padding, { width: textWidth, height: 34, ellipsis: true });
+
+    doc.font("Helvetica").fontSize(9).fillColor("#333333");
+    const lines = [
+        ["Reparto", `#${label.id}`],
+        ["Código", label.lectura],
+        ["Cantidad", `${label.cantidad} cajas`],
+        ["Destino", label.almacen],
+        ["Envío", formatDate(label.fechaEnvio)],
+        ["Caducidad", formatDate(label.fechaCaducidad)]
+    ];
+    let lineY = y + padding + 40;
+    lines.forEach(([name, value]) => {
+        doc.font("Helvetica-Bold").text(`${name}:`, textX, lineY, { continued: true })
+            .font("Helvetica").text(` ${value}`);
+        lineY += 14;
+    });
+}
+
+// Collect the PDF into a buffer
+function render(doc) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        doc.on("data", chunk => chunks.push(chunk));
+        doc.on("end", () => resolve(Buffer.concat(chunks)));
+        doc.on("error", reject);
+        doc.end();
+    });
+}
+
+// A single label sized for a label printer
+function labelPdf(label) {
+    const doc = new PDFDocument({ size: LABEL_SIZE, margin: 0 });
+    drawLabel(doc, label, 0, 0, LABEL_SIZE[0], LABEL_SIZE[1]);
+    return render(doc);
+}
+
+// A4 sheets with as many labels as needed
+function labelSheetPdf(labels) {
+    const doc = new PDFDocument({ size: A4_SIZE, margin: 0, autoFirstPage: false });
+    const perPage = SHEET_COLUMNS * SHEET_ROWS;
+    const cellWidth = (A4_SIZE[0] - SHEET_MARGIN * 2) / SHEET_COLUMNS;
+    const cellHeight = (A4_SIZE[1] - SHEET_MARGIN * 2) / SHEET_ROWS;
+
+    labels.forEach((label, index) => {
+        if (index % perPage === 0) {
+            doc.addPage();
+        }
+        const slot = index % perPage;
+        const x = SHEET_MARGIN + (slot % SHEET_COLUMNS) * cellWidth;
+        const y = SHEET_MARGIN + Math.floor(slot / SHEET_COLUMNS) * cellHeight;
+
+        drawLabel(doc, label, x + 4, y + 4, cellWidth - 8, cellHeight - 8);
+    });
+
+    return render(doc);
+}
+
+module.exports = {
+    labelPdf,
+    labelSheetPdf
+};
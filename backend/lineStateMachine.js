@@ -0,0 +1,248 @@
+// State machine for operations running on the physical line (conveyors, cobot and AGV).
+//
+// entrada:
+//   palletizing -> storing -> done
+//   Boxes arrive on conveyor 1 and are counted by infrared 1, the cobot stacks each
+//   one on the pallet waiting at the station and, once every box is on the pallet,
+//   the AGV carries it to its storage position.
+//
+// salida_particulares / salida_centro:
+//   picking_from_storage -> moving_to_station -> depalletizing -> returning_pallet -> done
+//   The AGV picks the pallet from its storage position and brings it to the station,
+//   the cobot unloads the requested boxes onto conveyor 2 (counted by infrared 2) and
+//   the AGV takes the pallet, empty or with what is left on it, back to its position.
+//
+// The machine does not publish anything itself: every transition returns the updated
+// operation together with the MQTT commands that the caller has to send.
+//
+// After an emergency stop an operation is either resumed in the phase it was in or
+// rolled back by the caller; boxes already counted out have physically left the line.
+// After a backend restart the saved operation is checked against the AGV status first.
+
+// AGV position of the palletizing station
+const STATION_POSITION = 0;
+
+const OPERATION_TYPES = ['entrada', 'salida_particulares', 'salida_centro'];
+
+// Commands sent when entering each phase
+const PHASE_ENTRY = {
+    palletizing: (operation) => ({
+        agvTargetPosition: null,
+        commands: [
+            command('PR2A1/acciones/conveyor_1', { accion: "marcha" }),
+            command('PR2A1/acciones/paletizaje', { accion: "inicio", modo: "paletizar" })
+        ]
+    }),
+    storing: (operation) => ({
+        agvTargetPosition: operation.position,
+        commands: [
+            command('PR2A1/acciones/conveyor_1', { accion: "parada" }),
+            command('PR2A1/acciones/paletizaje', { accion: "fin", modo: "paletizar" })
+        ]
+    }),
+    picking_from_storage: (operation) => ({
+        agvTargetPosition: operation.position,
+        commands: []
+    }),
+    moving_to_station: () => ({
+        agvTargetPosition: STATION_POSITION,
+        commands: []
+    }),
+    depalletizing: () => ({
+        agvTargetPosition: null,
+        commands: [
+            command('PR2A1/acciones/conveyor_2', { accion: "marcha" }),
+            command('PR2A1/acciones/paletizaje', { accion: "inicio", modo: "despaletizar" }),
+            command('PR2A1/cobot/recogida', { accion: "recoger", modo: "despaletizar" })
+        ]
+    }),
+    returning_pallet: (operation) => ({
+        agvTargetPosition: operation.position,
+        commands: [
+            command('PR2A1/acciones/conveyor_2', { accion: "parada" }),
+            command('PR2A1/acciones/paletizaje', { accion: "fin", modo: "despaletizar" })
+        ]
+    }),
+    done: () => ({
+        agvTargetPosition: null,
+        commands: []
+    })
+};
+
+// Events accepted in each phase. Anything not listed here is ignored.
+const TRANSITIONS = {
+    palletizing: {
+        infrarrojos_1: (operation, event, commands) => {
+            if (!isBoxDetected(event)) return;
+
+            // The box reached the end of conveyor 1, let the cobot stack it
+            commands.push(command('PR2A1/cobot/recogida', { accion: "recoger", modo: "paletizar" }));
+            operation.pendingBoxes -= 1;
+
+            if (operation.pendingBoxes <= 0) {
+                enterPhase(operation, 'storing', commands);
+            }
+        }
+    },
+    storing: {
+        agv: (operation, event, commands) => {
+            if (isAgvAt(event, operation.position, 'drop')) {
+                enterPhase(operation, 'done', commands);
+            }
+        }
+    },
+    picking_from_storage: {
+        agv: (operation, event, commands) => {
+            if (isAgvAt(event, operation.position, 'pick')) {
+                enterPhase(operation, 'moving_to_station', commands);
+            }
+        }
+    },
+    moving_to_station: {
+        agv: (operation, event, commands) => {
+            if (isAgvAt(event, STATION_POSITION)) {
+                enterPhase(operation, 'depalletizing', commands);
+            }
+        }
+    },
+    depalletizing: {
+        infrarrojos_2: (operation, event, commands) => {
+            if (!isBoxDetected(event)) return;
+
+            operation.pendingBoxes -= 1;
+
+            if (operation.pendingBoxes > 0) {
+                // Previous box is on its way out, pick the next one
+                commands.push(command('PR2A1/cobot/recogida', { accion: "recoger", modo: "despaletizar" }));
+            } else {
+                enterPhase(operation, 'returning_pallet', commands);
+            }
+        }
+    },
+    returning_pallet: {
+        agv: (operation, event, commands) => {
+            if (isAgvAt(event, operation.position, 'drop')) {
+                enterPhase(operation, 'done', commands);
+            }
+        }
+    },
+    done: {}
+};
+
+// Create a new operation in its initial phase
+function createOperation({ type, position, cantidad, productId, almacen, jobId }) {
+    if (!OPERATION_TYPES.includes(type)) {
+        throw new Error(`Unknown operation type: ${type}`);
+    }
+
+    const boxes = parseInt(cantidad);
+    const operation = {
+        jobId: jobId,
+        type: type,
+        position: parseInt(position),
+        cantidad: boxes,
+        pendingBoxes: boxes,
+        productId: productId,
+        almacen: almacen,
+        phase: null,
+        agvTargetPosition: null
+    };
+
+    const commands = [];
+    enterPhase(operation, type === 'entrada' ? 'palletizing' : 'picking_from_storage', commands);
+
+    return { operation, commands };
+}
+
+// Feed an MQTT event to the operation.
+// Events: { source: 'infrarrojos_1' | 'infrarrojos_2', value, previous } or { source: 'agv', ubicacion, estado }
+function transition(operation, event) {
+    const next = { ...operation };
+    const commands = [];
+
+    const handler = TRANSITIONS[next.phase]?.[event.source];
+    if (handler) {
+        handler(next, event, commands);
+    }
+
+    return { operation: next, commands };
+}
+
+// Restart an operation interrupted by an emergency stop in the phase it was in,
+// sending again the commands of that phase. Boxes already counted stay counted.
+function resumeOperation(operation) {
+    const next = { ...operation };
+    const commands = [];
+    enterPhase(next, operation.phase, commands);
+    return { operation: next, commands };
+}
+
+// Whether the AGV carries a pallet while the operation waits for it in each phase
+const AGV_LOAD = {
+    storing: 'pick',
+    picking_from_storage: 'drop',
+    moving_to_station: 'pick',
+    returning_pallet: 'pick'
+};
+
+// Decide whether an operation saved by a previous backend process can go on, given
+// the AGV status the line reports now: { resume: true } or { resume: false, reason }.
+// Boxes are counted from sensor edges that nobody saw while the backend was down,
+// so the phases that count boxes always need an operator.
+function reconcileOperation(operation, agvStatus) {
+    const load = AGV_LOAD[operation.phase];
+    if (!load) {
+        return { resume: false, reason: `Boxes may have been missed during phase ${operation.phase}` };
+    }
+    if (!agvStatus) {
+        return { resume: false, reason: 'The line did not report the AGV status' };
+    }
+
+    // Either still on its way or already at the target, the next AGV event settles it
+    if (isAgvAt(agvStatus, operation.agvTargetPosition) || agvStatus.estado === load) {
+        return { resume: true };
+    }
+    return {
+        resume: false,
+        reason: `AGV is at ${agvStatus.ubicacion} (${agvStatus.estado}) during phase ${operation.phase}, expected ${load}`
+    };
+}
+
+function enterPhase(operation, phase, commands) {
+    const entry = PHASE_ENTRY[phase](operation);
+
+    operation.phase = phase;
+    operation.agvTargetPosition = entry.agvTargetPosition;
+    commands.push(...entry.commands);
+
+    // Nothing to count, move straight to the next phase
+    if (phase === 'palletizing' && operation.pendingBoxes <= 0) {
+        enterPhase(operation, 'storing', commands);
+    } else if (phase === 'depalletizing' && operation.pendingBoxes <= 0) {
+        commands.pop(); // No box to pick
+        enterPhase(operation, 'returning_pallet', commands);
+    }
+}
+
+// A box is counted on the rising edge of the infrared sensor
+function isBoxDetected(event) {
+    return event.value === 1 && event.previous !== 1;
+}
+
+function isAgvAt(event, position, estado) {
+    if (Number(event.ubicacion) !== position) return false;
+    return estado ? event.estado === estado : true;
+}
+
+function command(topic, payload) {
+    return { topic, payload };
+}
+
+module.exports = {
+    STATION_POSITION,
+    OPERATION_TYPES,
+    createOperation,
+    transition,
+    resumeOperation,
+    reconcileOperation
+};
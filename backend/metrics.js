@@ -0,0 +1,100 @@
+// Prometheus metrics served on /metrics.
+//
+// Counters and histograms are updated where things happen (HTTP requests, MQTT
+// messages, database errors); the gauges of the queues and the stock are read from
+// the database when Prometheus scrapes, see updateStockMetrics in index.js.
+
+const client = require("prom-client");
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequestDuration = new client.Histogram({
+    name: "http_request_duration_seconds",
+    help: "Duration of HTTP requests by route",
+    labelNames: ["method", "route", "status"],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry]
+});
+
+const mqttMessagesReceived = new client.Counter({
+    name: "mqtt_messages_received_total",
+    help: "MQTT messages received from the line by topic",
+    labelNames: ["topic"],
+    registers: [registry]
+});
+
+const mqttMessagesPublished = new client.Counter({
+    name: "mqtt_messages_published_total",
+    help: "MQTT messages published to the line by topic",
+    labelNames: ["topic"],
+    registers: [registry]
+});
+
+const mqttPublishFailures = new client.Counter({
+    name: "mqtt_publish_failures_total",
+    help: "MQTT messages that could not be published, by topic and reason (disconnected, invalid, broker)",
+    labelNames: ["topic", "reason"],
+    registers: [registry]
+});
+
+const mqttConnected = new client.Gauge({
+    name: "mqtt_connected",
+    help: "1 while the backend is connected to the MQTT broker",
+    registers: [registry]
+});
+
+const dbQueryErrors = new client.Counter({
+    name: "db_query_errors_total",
+    help: "Failed database queries by SQLSTATE code",
+    labelNames: ["code"],
+    registers: [registry]
+});
+
+const queueDepth = new client.Gauge({
+    name: "operation_queue_depth",
+    help: "Jobs in the operation queue of each centre by status (queued, running)",
+    labelNames: ["almacen", "status"],
+    registers: [registry]
+});
+
+const stockPallets = new client.Gauge({
+    name: "stock_pallets",
+    help: "Pallets stored in each centre",
+    labelNames: ["almacen"],
+    registers: [registry]
+});
+
+const stockBoxes = new client.Gauge({
+    name: "stock_boxes",
+    help: "Boxes stored in each centre",
+    labelNames: ["almacen"],
+    registers: [registry]
+});
+
+// Time every request. Requests that match no route share one label so unknown
+// URLs cannot create a series each.
+function httpMetrics(req, res, next) {
+    const end = httpRequestDuration.startTimer();
+    res.on("finish", () => {
+        end({
+            method: req.method,
+            route: req.route ? `${req.baseUrl}${req.route.path}` : "unmatched",
+            status: res.statusCode
+        });
+    });
+    next();
+}
+
+module.exports = {
+    registry,
+    httpMetrics,
+    mqttMessagesReceived,
+    mqttMessagesPublished,
+    mqttPublishFailures,
+    mqttConnected,
+    dbQueryErrors,
+    queueDepth,
+    stockPallets,
+    stockBoxes
+};
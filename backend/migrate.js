@@ -0,0 +1,187 @@
+// Versioned database migrations.
+//
+// migrations/ holds numbered pairs of SQL files, NNN_name.up.sql and NNN_name.down.sql.
+// Applied versions are recorded in schema_migracion. Every migration runs in its own
+// transaction together with its bookkeeping row, so a failing file leaves nothing
+// half applied, and an advisory lock keeps two processes from migrating at once.
+//
+//   npm run migrate                   apply every pending migration
+//   npm run migrate -- down [steps]   roll back the last migrations (default 1)
+//   npm run migrate -- status         list applied and pending migrations
+//
+// The backend applies pending migrations itself when it starts.
+
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Any constant shared by every process that migrates this database
+const LOCK_ID = 7231;
+
+// Migrations on disk, ordered by version
+function loadMigrations() {
+    const migrations = new Map();
+
+    fs.readdirSync(MIGRATIONS_DIR).forEach(file => {
+        const match = FILE_PATTERN.exec(file);
+        if (!match) return;
+
+        const version = parseInt(match[1]);
+        const migration = migrations.get(version) || { version, name: match[2] };
+        if (migration.name !== match[2]) {
+            throw new Error(`Migration ${version} has two names: ${migration.name} and ${match[2]}`);
+        }
+        migration[match[3]] = fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8");
+        migrations.set(version, migration);
+    });
+
+    return [...migrations.values()]
+        .map(migration => {
+            if (!migration.up || !migration.down) {
+                throw new Error(`Migration ${label(migration)} needs both an up and a down file`);
+            }
+            return migration;
+        })
+        .sort((a, b) => a.version - b.version);
+}
+
+// 001_baseline
+function label(migration) {
+    return `${String(migration.version).padStart(3, "0")}_${migration.name}`;
+}
+
+// Run fn holding the migration lock, with the bookkeeping table in place
+function withLock(db, fn) {
+    return db.task(async t => {
+        await t.one("SELECT pg_advisory_lock($1)", [LOCK_ID]);
+        try {
+            await t.none(`
+                CREATE TABLE IF NOT EXISTS schema_migracion (
+                    version INTEGER PRIMARY KEY,
+                    nombre TEXT NOT NULL,
+                    applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+                )
+            `);
+            return await fn(t);
+        } finally {
+            await t.one("SELECT pg_advisory_unlock($1)", [LOCK_ID]);
+        }
+    });
+}
+
+// Apply every pending migration, resolves with the ones applied
+function migrate(db) {
+    const migrations = loadMigrations();
+
+    return withLock(db, async t => {
+        const applied = new Set((await t.any("SELECT version FROM schema_migracion")).map(row => row.version));
+        const pending = migrations.filter(migration => !applied.has(migration.version));
+
+        for (const migration of pending) {
+            await t.tx(async tx => {
+                await tx.none(migration.up);
+                await tx.none(
+                    "INSERT INTO schema_migracion (version, nombre) VALUES ($1, $2)",
+                    [migration.version, migration.name]
+                );
+            });
+            console.log(`✅ Applied migration ${label(migration)}`);
+        }
+        return pending;
+    });
+}
+
+// Roll back the last applied migrations, resolves with the ones rolled back
+function rollback(db, steps = 1) {
+    const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+
+    return withLock(db, async t => {
+        const latest = await t.any(
+            "SELECT version, nombre FROM schema_migracion ORDER BY version DESC LIMIT $1",
+            [steps]
+        );
+
+        const rolledBack = [];
+        for (const row of latest) {
+            const migration = migrations.get(row.version);
+            if (!migration) {
+                throw new Error(`Migration ${label({ version: row.version, name: row.nombre })} is applied but its files are missing`);
+            }
+
+            await t.tx(async tx => {
+                await tx.none(migration.down);
+                await tx.none("DELETE FROM schema_migracion WHERE version = $1", [migration.version]);
+            });
+            console.log(`↩️ Rolled back migration ${label(migration)}`);
+            rolledBack.push(migration);
+        }
+        return rolledBack;
+    });
+}
+
+// Every migration on disk and when it was applied, null when pending
+function status(db) {
+    const migrations = loadMigrations();
+
+    return withLock(db, async t => {
+        const applied = new Map(
+            (await t.any("SELECT version, applied_at FROM schema_migracion")).map(row => [row.version, row.applied_at])
+        );
+        return migrations.map(migration => ({
+            version: migration.version,
+            nombre: migration.name,
+            applied_at: applied.get(migration.version) || null
+        }));
+    });
+}
+
+module.exports = {
+    migrate,
+    rollback,
+    status
+};
+
+if (require.main === module) {
+    const pgp = require("pg-promise")();
+    const dotenv = require("dotenv");
+
+    dotenv.config();
+    const db = pgp({ connectionString: process.env.DATABASE_URL });
+    const [command = "up", argument] = process.argv.slice(2);
+
+    const run = async () => {
+        switch (command) {
+            case "up": {
+                const applied = await migrate(db);
+                console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : "✅ Database is up-to-date");
+                break;
+            }
+            case "down": {
+                const steps = argument === undefined ? 1 : parseInt(argument);
+                if (!(steps > 0)) {
+                    throw new Error("down expects a positive number of steps");
+                }
+                await rollback(db, steps);
+                break;
+            }
+            case "status":
+                (await status(db)).forEach(migration => {
+                    const state = migration.applied_at ? `applied ${migration.applied_at.toISOString()}` : "pending";
+                    console.log(`${label({ version: migration.version, name: migration.nombre })}  ${state}`);
+                });
+                break;
+            default:
+                throw new Error(`Unknown command ${command}, use up, down [steps] or status`);
+        }
+    };
+
+    run()
+        .then(() => pgp.end())
+        .catch(error => {
+            console.error("❌ Migration failed:", error.message);
+            pgp.end();
+            process.exitCode = 1;
+        });
+}
@@ -0,0 +1,37 @@
+-- Products and the pallets (repartos) built from them.
+-- Written with IF NOT EXISTS so databases created before migrations existed
+-- are adopted as they are.
+
+CREATE TABLE IF NOT EXISTS producto (
+    id TEXT PRIMARY KEY,
+    producto TEXT NOT NULL,
+    shelf_life INTEGER CHECK (shelf_life > 0)
+);
+
+CREATE TABLE IF NOT EXISTS reparto (
+    id SERIAL PRIMARY KEY,
+    almacen TEXT NOT NULL,
+    lectura TEXT NOT NULL REFERENCES producto(id),
+    timestamp TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    cantidad INTEGER DEFAULT 12 CHECK (cantidad >= 0),
+    location INTEGER CHECK (location > 0),
+    timestamp_recepcion TIMESTAMPTZ
+);
+
+-- Older databases were created without cantidad
+ALTER TABLE reparto ADD COLUMN IF NOT EXISTS cantidad INTEGER DEFAULT 12;
+
+-- Older databases were created without the foreign key; existing rows are not checked
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'reparto'::regclass AND contype = 'f' AND conname = 'reparto_lectura_fkey'
+    ) THEN
+        ALTER TABLE reparto ADD CONSTRAINT reparto_lectura_fkey
+            FOREIGN KEY (lectura) REFERENCES producto(id) NOT VALID;
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS reparto_lectura_idx ON reparto (lectura);
+CREATE INDEX IF NOT EXISTS reparto_almacen_idx ON reparto (almacen);
@@ -0,0 +1,2 @@
+ALTER TABLE reparto DROP CONSTRAINT IF EXISTS reparto_almacen_fkey;
+DROP TABLE IF EXISTS almacen;
@@ -0,0 +1,39 @@
+-- Registry of centres shared by every operator
+CREATE TABLE IF NOT EXISTS almacen (
+    id TEXT PRIMARY KEY,
+    nombre TEXT NOT NULL,
+    posiciones INTEGER NOT NULL DEFAULT 5 CHECK (posiciones > 0),
+    fisico BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+INSERT INTO almacen (id, nombre, posiciones, fisico) VALUES
+    ('Vera', 'Campus de Vera', 5, true),
+    ('Alcoi', 'Campus d''Alcoi', 5, false),
+    ('Gandia', 'Campus de Gandia', 5, false)
+ON CONFLICT (id) DO NOTHING;
+
+-- How the rack is arranged and how incoming pallets are placed in it
+ALTER TABLE almacen ADD COLUMN IF NOT EXISTS layout JSONB;
+ALTER TABLE almacen ADD COLUMN IF NOT EXISTS estrategia TEXT NOT NULL DEFAULT 'first_free';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'reparto'::regclass AND contype = 'f' AND conname = 'reparto_almacen_fkey'
+    ) THEN
+        ALTER TABLE reparto ADD CONSTRAINT reparto_almacen_fkey
+            FOREIGN KEY (almacen) REFERENCES almacen(id) NOT VALID;
+    END IF;
+END $$;
+
+-- Centres that only existed in the browser of an operator still have shipments,
+-- register them with room for every slot in use so they can be received
+INSERT INTO almacen (id, nombre, posiciones)
+SELECT r.almacen, r.almacen, GREATEST(5, COALESCE(MAX(r.location), 0))
+FROM reparto r
+WHERE r.almacen IS NOT NULL
+GROUP BY r.almacen
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE reparto VALIDATE CONSTRAINT reparto_almacen_fkey;
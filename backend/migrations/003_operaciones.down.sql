@@ -0,0 +1,3 @@
+ALTER TABLE reparto DROP COLUMN IF EXISTS transferencia_de;
+ALTER TABLE reparto DROP COLUMN IF EXISTS origen;
+DROP TABLE IF EXISTS operacion;
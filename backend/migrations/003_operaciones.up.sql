@@ -0,0 +1,24 @@
+-- Persistent operation queue, one FIFO per almacen
+CREATE TABLE IF NOT EXISTS operacion (
+    id SERIAL PRIMARY KEY,
+    almacen TEXT NOT NULL,
+    tipo TEXT NOT NULL,
+    reparto_id INTEGER NOT NULL,
+    lectura TEXT,
+    posicion INTEGER NOT NULL,
+    cantidad INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'running', 'done', 'failed', 'cancelled')),
+    orden INTEGER NOT NULL,
+    error TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    finished_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS operacion_almacen_status_idx ON operacion (almacen, status, orden);
+ALTER TABLE operacion ADD COLUMN IF NOT EXISTS solicitante TEXT;
+ALTER TABLE operacion ADD COLUMN IF NOT EXISTS destino TEXT;
+
+-- Transfers between centres create a new reparto linked to the one that left
+ALTER TABLE reparto ADD COLUMN IF NOT EXISTS origen TEXT;
+ALTER TABLE reparto ADD COLUMN IF NOT EXISTS transferencia_de INTEGER;
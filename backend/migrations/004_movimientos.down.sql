@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS movimiento;
+DROP FUNCTION IF EXISTS movimiento_append_only();
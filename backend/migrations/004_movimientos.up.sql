@@ -0,0 +1,29 @@
+-- Append-only ledger of every reparto lifecycle event
+CREATE TABLE IF NOT EXISTS movimiento (
+    id SERIAL PRIMARY KEY,
+    tipo TEXT NOT NULL
+        CHECK (tipo IN ('creacion', 'recepcion', 'salida', 'parada_emergencia')),
+    reparto_id INTEGER,
+    almacen TEXT,
+    lectura TEXT,
+    cantidad INTEGER,
+    location INTEGER,
+    salida_tipo TEXT,
+    destino TEXT,
+    operacion_id INTEGER,
+    solicitante TEXT,
+    detalle JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS movimiento_almacen_created_idx ON movimiento (almacen, created_at);
+CREATE INDEX IF NOT EXISTS movimiento_lectura_idx ON movimiento (lectura);
+
+CREATE OR REPLACE FUNCTION movimiento_append_only() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'movimiento is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS movimiento_append_only ON movimiento;
+CREATE TRIGGER movimiento_append_only BEFORE UPDATE OR DELETE ON movimiento
+    FOR EACH ROW EXECUTE FUNCTION movimiento_append_only();
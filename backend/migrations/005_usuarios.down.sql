@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS sesion;
+DROP TABLE IF EXISTS usuario;
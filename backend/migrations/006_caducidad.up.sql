@@ -0,0 +1,2 @@
+-- Set once the expiry check has flagged the pallet
+ALTER TABLE reparto ADD COLUMN IF NOT EXISTS caducado_at TIMESTAMPTZ;
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS qr_rechazo;
+ALTER TABLE reparto DROP COLUMN IF EXISTS qr_revocado_at;
@@ -0,0 +1,12 @@
+-- QR codes issued up to qr_revocado_at are no longer accepted, and every rejected scan is kept
+ALTER TABLE reparto ADD COLUMN IF NOT EXISTS qr_revocado_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS qr_rechazo (
+    id SERIAL PRIMARY KEY,
+    reparto_id INTEGER,
+    motivo TEXT NOT NULL,
+    origen TEXT NOT NULL CHECK (origen IN ('mqtt', 'api')),
+    contenido JSONB,
+    solicitante TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
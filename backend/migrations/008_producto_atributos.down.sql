@@ -0,0 +1,10 @@
+ALTER TABLE reparto ALTER COLUMN cantidad SET DEFAULT 12;
+
+ALTER TABLE producto
+    DROP COLUMN IF EXISTS activo,
+    DROP COLUMN IF EXISTS temperatura,
+    DROP COLUMN IF EXISTS alto_caja_cm,
+    DROP COLUMN IF EXISTS ancho_caja_cm,
+    DROP COLUMN IF EXISTS largo_caja_cm,
+    DROP COLUMN IF EXISTS peso_caja_kg,
+    DROP COLUMN IF EXISTS cajas_por_palet;
@@ -0,0 +1,15 @@
+-- Master data of a product: how its pallets are built, the boxes they carry and
+-- where they can be stored. Archived products stay for the stock and history that
+-- refer to them but cannot be shipped any more.
+ALTER TABLE producto
+    ADD COLUMN IF NOT EXISTS cajas_por_palet INTEGER CHECK (cajas_por_palet > 0),
+    ADD COLUMN IF NOT EXISTS peso_caja_kg REAL CHECK (peso_caja_kg > 0),
+    ADD COLUMN IF NOT EXISTS largo_caja_cm REAL CHECK (largo_caja_cm > 0),
+    ADD COLUMN IF NOT EXISTS ancho_caja_cm REAL CHECK (ancho_caja_cm > 0),
+    ADD COLUMN IF NOT EXISTS alto_caja_cm REAL CHECK (alto_caja_cm > 0),
+    ADD COLUMN IF NOT EXISTS temperatura TEXT NOT NULL DEFAULT 'ambiente'
+        CHECK (temperatura IN ('ambiente', 'refrigerado', 'congelado')),
+    ADD COLUMN IF NOT EXISTS activo BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- The box count of a pallet now comes from its product
+ALTER TABLE reparto ALTER COLUMN cantidad DROP DEFAULT;
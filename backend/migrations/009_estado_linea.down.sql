@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS estado_linea_historial;
+DROP TABLE IF EXISTS estado_linea;
@@ -0,0 +1,19 @@
+-- Live state of the line (operation in progress, emergency stops, AGV), saved on
+-- every change so a restarted backend can pick up where it was
+CREATE TABLE IF NOT EXISTS estado_linea (
+    id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+    estado JSONB NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Transitions of the line: operation phases, emergency stops, resets and restarts
+CREATE TABLE IF NOT EXISTS estado_linea_historial (
+    id SERIAL PRIMARY KEY,
+    evento TEXT NOT NULL,
+    almacen TEXT,
+    operacion_id INTEGER,
+    fase TEXT,
+    detalle JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS estado_linea_historial_created_at_idx ON estado_linea_historial (created_at);
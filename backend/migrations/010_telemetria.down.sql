@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS estado_linea_historial_operacion_idx;
+DROP TABLE IF EXISTS telemetria;
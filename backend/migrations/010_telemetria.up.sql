@@ -0,0 +1,13 @@
+-- Status messages of the line equipment (conveyors, infrared sensors and AGV) as
+-- they arrive, for the analytics routes
+CREATE TABLE IF NOT EXISTS telemetria (
+    id BIGSERIAL PRIMARY KEY,
+    almacen TEXT,
+    equipo TEXT NOT NULL,
+    valor JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS telemetria_equipo_created_at_idx ON telemetria (equipo, created_at);
+
+-- Phase durations look up the events of one operation
+CREATE INDEX IF NOT EXISTS estado_linea_historial_operacion_idx ON estado_linea_historial (operacion_id, created_at);
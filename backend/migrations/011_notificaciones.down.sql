@@ -0,0 +1,3 @@
+ALTER TABLE reparto DROP COLUMN IF EXISTS retraso_notificado_at;
+DROP TABLE IF EXISTS notificacion_envio;
+DROP TABLE IF EXISTS suscripcion;
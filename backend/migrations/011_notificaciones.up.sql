@@ -0,0 +1,37 @@
+-- Where warehouse events are sent: a webhook URL or an email address, for some
+-- event types and one centre (every centre when almacen is NULL)
+CREATE TABLE IF NOT EXISTS suscripcion (
+    id SERIAL PRIMARY KEY,
+    canal TEXT NOT NULL CHECK (canal IN ('webhook', 'email')),
+    destino TEXT NOT NULL,
+    eventos TEXT[] NOT NULL,
+    almacen TEXT REFERENCES almacen(id) ON DELETE CASCADE,
+    secreto TEXT,
+    activa BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One row per event and subscription, retried with backoff until it is delivered or
+-- runs out of attempts. Kept as the delivery log when the subscription is removed.
+CREATE TABLE IF NOT EXISTS notificacion_envio (
+    id SERIAL PRIMARY KEY,
+    suscripcion_id INTEGER REFERENCES suscripcion(id) ON DELETE SET NULL,
+    canal TEXT NOT NULL,
+    destino TEXT NOT NULL,
+    evento TEXT NOT NULL,
+    almacen TEXT,
+    payload JSONB NOT NULL,
+    estado TEXT NOT NULL DEFAULT 'pendiente'
+        CHECK (estado IN ('pendiente', 'entregado', 'fallido')),
+    intentos INTEGER NOT NULL DEFAULT 0,
+    siguiente_intento TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    respuesta_status INTEGER,
+    ultimo_error TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    entregado_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS notificacion_envio_pendiente_idx ON notificacion_envio (siguiente_intento)
+    WHERE estado = 'pendiente';
+
+-- Set once the delay check has reported the shipment
+ALTER TABLE reparto ADD COLUMN IF NOT EXISTS retraso_notificado_at TIMESTAMPTZ;
@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS reparto_en_ruta_fecha_prevista_idx;
+ALTER TABLE reparto DROP COLUMN IF EXISTS referencia;
+ALTER TABLE reparto DROP COLUMN IF EXISTS transportista;
+ALTER TABLE reparto DROP COLUMN IF EXISTS fecha_prevista;
+DROP TABLE IF EXISTS plazo_entrega;
@@ -0,0 +1,21 @@
+-- Days a shipment takes from an origin to a centre. Origin '*' is the lead time of
+-- the centre for any origin without its own row.
+CREATE TABLE IF NOT EXISTS plazo_entrega (
+    origen TEXT NOT NULL,
+    destino TEXT NOT NULL REFERENCES almacen(id) ON DELETE CASCADE,
+    dias INTEGER NOT NULL CHECK (dias >= 0),
+    PRIMARY KEY (origen, destino)
+);
+
+-- Expected arrival date, carrier and carrier reference of a shipment
+ALTER TABLE reparto ADD COLUMN IF NOT EXISTS fecha_prevista DATE;
+ALTER TABLE reparto ADD COLUMN IF NOT EXISTS transportista TEXT;
+ALTER TABLE reparto ADD COLUMN IF NOT EXISTS referencia TEXT;
+
+-- Shipments already on their way are due after the 7 days the dashboard used to
+-- mark them as delayed
+UPDATE reparto SET fecha_prevista = timestamp::date + 7
+WHERE fecha_prevista IS NULL AND timestamp_recepcion IS NULL;
+
+CREATE INDEX IF NOT EXISTS reparto_en_ruta_fecha_prevista_idx ON reparto (almacen, fecha_prevista)
+    WHERE timestamp_recepcion IS NULL;
@@ -0,0 +1 @@
+DROP INDEX IF EXISTS operacion_reparto_activa_key;
@@ -0,0 +1,14 @@
+-- Exits requested at the same time may have queued two jobs for one reparto, keep the
+-- running or oldest one
+UPDATE operacion o
+SET status = 'cancelled', finished_at = NOW(), error = 'Duplicate of another active operation of the reparto'
+WHERE o.status = 'queued'
+  AND EXISTS (
+      SELECT 1 FROM operacion d
+      WHERE d.reparto_id = o.reparto_id
+        AND (d.status = 'running' OR (d.status = 'queued' AND d.id < o.id))
+  );
+
+-- A reparto has at most one queued or running job, whatever the routes check first
+CREATE UNIQUE INDEX IF NOT EXISTS operacion_reparto_activa_key
+    ON operacion (reparto_id) WHERE status IN ('queued', 'running');
@@ -0,0 +1 @@
+ALTER TABLE reparto DROP COLUMN IF EXISTS timestamp_origen;
@@ -0,0 +1,20 @@
+-- Shipment date of the goods in a transferred pallet, copied from the reparto it was
+-- transferred from. Expiry dates count from it instead of the date of the transfer.
+ALTER TABLE reparto ADD COLUMN IF NOT EXISTS timestamp_origen TIMESTAMPTZ;
+
+-- Transfers made so far take the shipment date of the first reparto of their chain.
+-- Those whose source pallet was already emptied and deleted keep counting from the
+-- transfer date.
+WITH RECURSIVE cadena AS (
+    SELECT id, transferencia_de, timestamp AS timestamp_origen
+    FROM reparto
+    WHERE transferencia_de IS NULL
+    UNION ALL
+    SELECT r.id, r.transferencia_de, c.timestamp_origen
+    FROM reparto r
+    JOIN cadena c ON c.id = r.transferencia_de
+)
+UPDATE reparto r
+SET timestamp_origen = c.timestamp_origen
+FROM cadena c
+WHERE c.id = r.id AND r.transferencia_de IS NOT NULL AND r.timestamp_origen IS NULL;
@@ -0,0 +1 @@
+DROP INDEX IF EXISTS reparto_almacen_location_key;
@@ -0,0 +1,3 @@
+-- Two pallets can never share a slot, whatever the allocation code does
+CREATE UNIQUE INDEX IF NOT EXISTS reparto_almacen_location_key
+    ON reparto (almacen, location) WHERE location IS NOT NULL;
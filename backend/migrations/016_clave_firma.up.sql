@@ -0,0 +1,7 @@
+-- Keys generated by the backend on its first start and kept across restarts, e.g.
+-- the one that signs the pallet QR codes when QR_SECRET is not set
+CREATE TABLE IF NOT EXISTS clave_firma (
+    id TEXT PRIMARY KEY,
+    secreto TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
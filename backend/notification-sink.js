@@ -0,0 +1,137 @@
+// Notification sink: local stand-ins for a webhook receiver and an SMTP server, so
+// webhook and email subscriptions can be tried without real endpoints.
+//
+// Point a webhook subscription at http://localhost:<SINK_HTTP_PORT>/ and start the
+// backend with SMTP_HOST=localhost SMTP_PORT=<SINK_SMTP_PORT> for email ones. Every
+// request and message received is printed; webhook signatures are checked when the
+// secret of the subscription is given.
+//
+// Run it with `npm run sink`. Settings come from the environment:
+//
+//   SINK_HTTP_PORT         port of the webhook receiver (default 4000)
+//   SINK_SMTP_PORT         port of the SMTP server (default 2525)
+//   SINK_WEBHOOK_SECRET    secret of the webhook subscription, to verify signatures
+//   SINK_STATUS            status the webhook receiver answers (default 200), set
+//                          500 to watch the backend retry
+//   SINK_MAX_AGE_SECONDS   oldest webhook timestamp accepted (default 300)
+
+const http = require("http");
+const { SMTPServer } = require("smtp-server");
+const dotenv = require("dotenv");
+const { verifySignature } = require("./notifications");
+
+dotenv.config();
+
+const DEFAULTS = {
+    httpPort: 4000,
+    smtpPort: 2525,
+    webhookSecret: null,
+    status: 200,
+    maxAgeSeconds: 300
+};
+
+// Check the signature and age of a webhook, returns what is wrong or null
+function webhookProblem(config, headers, body) {
+    const timestamp = parseInt(headers["x-robo-timestamp"]);
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > config.maxAgeSeconds) {
+        return "timestamp missing or too old";
+    }
+    if (!verifySignature(config.webhookSecret, timestamp, body, headers["x-robo-signature"])) {
+        return "signature does not match";
+    }
+    return null;
+}
+
+function startWebhookReceiver(config) {
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on("data", chunk => chunks.push(chunk));
+        req.on("end", () => {
+            const body = Buffer.concat(chunks).toString("utf8");
+            console.log(`📨 [Sink] Webhook ${req.headers["x-robo-event"] || "?"} #${req.headers["x-robo-delivery"] || "?"}: ${body}`);
+
+            if (config.webhookSecret) {
+                const problem = webhookProblem(config, req.headers, body);
+                if (problem) {
+                    console.warn(`⚠️ [Sink] Rejected webhook: ${problem}`);
+                    res.writeHead(401).end();
+                    return;
+                }
+                console.log("✅ [Sink] Signature verified");
+            }
+            res.writeHead(config.status).end();
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(config.httpPort, () => {
+            console.log(`✅ Webhook receiver listening on http://localhost:${config.httpPort}/`);
+            resolve(server);
+        });
+    });
+}
+
+function startSmtpServer(config) {
+    const server = new SMTPServer({
+        authOptional: true,
+        // Plain connections only, the backend talks to it with SMTP_SECURE unset
+        disabledCommands: ["STARTTLS"],
+        onAuth(auth, session, callback) {
+            callback(null, { user: auth.username });
+        },
+        onData(stream, session, callback) {
+            const chunks = [];
+            stream.on("data", chunk => chunks.push(chunk));
+            stream.on("end", () => {
+                const recipients = session.envelope.rcptTo.map(rcpt => rcpt.address).join(", ");
+                console.log(`📧 [Sink] Email to ${recipients}:\n${Buffer.concat(chunks).toString("utf8")}`);
+                callback();
+            });
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(config.smtpPort, () => {
+            console.log(`✅ SMTP server listening on port ${config.smtpPort}`);
+            resolve(server);
+        });
+    });
+}
+
+// Start both stand-ins, resolves with a function that stops them
+async function startSink(options = {}) {
+    const config = { ...DEFAULTS, ...options };
+    const webhookReceiver = await startWebhookReceiver(config);
+    const smtpServer = await startSmtpServer(config);
+
+    return () => Promise.all([
+        new Promise(resolve => webhookReceiver.close(resolve)),
+        new Promise(resolve => smtpServer.close(resolve))
+    ]);
+}
+
+module.exports = {
+    startSink
+};
+
+if (require.main === module) {
+    const env = process.env;
+    startSink({
+        httpPort: parseInt(env.SINK_HTTP_PORT || DEFAULTS.httpPort),
+        smtpPort: parseInt(env.SINK_SMTP_PORT || DEFAULTS.smtpPort),
+        webhookSecret: env.SINK_WEBHOOK_SECRET || null,
+        status: parseInt(env.SINK_STATUS || DEFAULTS.status),
+        maxAgeSeconds: parseInt(env.SINK_MAX_AGE_SECONDS || DEFAULTS.maxAgeSeconds)
+    })
+        .then(stop => {
+            process.on("SIGINT", () => {
+                stop().then(() => process.exit(0));
+            });
+        })
+        .catch(error => {
+            console.error("❌ [Sink] Error starting notification sink:", error);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,190 @@
+// Outbound notifications: webhooks and email.
+//
+// A subscription sends some event types of one centre (or of all of them) to a
+// webhook URL or an email address. Webhooks are POSTed as JSON:
+//
+//   { "id": 12, "evento": "stock_caducado", "almacen": "Vera",
+//     "fecha": "2026-10-19T08:00:00.000Z", "datos": { ... } }
+//
+// and signed with the secret of their subscription:
+//
+//   X-Robo-Timestamp: 1760860800
+//   X-Robo-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+//
+// The receiver recomputes the HMAC over the raw body and rejects old timestamps to
+// stop replays. Any status other than 2xx counts as a failed attempt and the
+// delivery is retried with exponential backoff.
+
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+
+const EVENTS = {
+    parada_emergencia: "Emergency stop of a centre",
+    reparto_retrasado: "Shipment still in transit after its expected arrival date",
+    stock_caducado: "Stored pallet past its expiry date",
+    prueba: "Test message sent from the subscription list"
+};
+
+const CHANNELS = ["webhook", "email"];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+function newSecret() {
+    return crypto.randomBytes(32).toString("hex");
+}
+
+// Check a subscription, returns { fields } or { error }. A partial one (updates)
+// only carries what is present in the input.
+function parseSubscription(input, { partial = false } = {}) {
+    const fields = {};
+
+    if (!partial || input.canal !== undefined) {
+        if (!CHANNELS.includes(input.canal)) {
+            return { error: `canal must be one of ${CHANNELS.join(", ")}` };
+        }
+        fields.canal = input.canal;
+    }
+
+    if (!partial || input.destino !== undefined) {
+        const destino = typeof input.destino === "string" ? input.destino.trim() : "";
+        if (!destino) {
+            return { error: "destino is required" };
+        }
+        fields.destino = destino;
+    }
+
+    if (!partial || input.eventos !== undefined) {
+        const eventos = input.eventos;
+        if (!Array.isArray(eventos) || eventos.length === 0) {
+            return { error: "eventos must be a non-empty list" };
+        }
+        const unknown = eventos.find(evento => !EVENTS[evento]);
+        if (unknown !== undefined) {
+            return { error: `Unknown event ${unknown}, use ${Object.keys(EVENTS).join(", ")}` };
+        }
+        fields.eventos = [...new Set(eventos)];
+    }
+
+    if (input.almacen !== undefined) {
+        fields.almacen = input.almacen || null;
+    }
+    if (input.activa !== undefined) {
+        if (typeof input.activa !== "boolean") {
+            return { error: "activa must be true or false" };
+        }
+        fields.activa = input.activa;
+    }
+    return { fields };
+}
+
+// Error message when the destination does not suit the channel, or null
+function validateDestination(canal, destino) {
+    if (canal === "email") {
+        return EMAIL_PATTERN.test(destino) ? null : "destino must be an email address";
+    }
+    try {
+        const url = new URL(destino);
+        return ["http:", "https:"].includes(url.protocol) ? null : "destino must be an http or https URL";
+    } catch (error) {
+        return "destino must be an http or https URL";
+    }
+}
+
+// Seconds to wait before the next attempt, doubling every time up to maxSeconds
+function backoffSeconds(attempt, baseSeconds, maxSeconds) {
+    return Math.min(maxSeconds, baseSeconds * 2 ** Math.max(0, attempt - 1));
+}
+
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// Whether a signature header matches the body, for receivers
+function verifySignature(secret, timestamp, body, header) {
+    const expected = Buffer.from(`sha256=${signPayload(secret, timestamp, body)}`);
+    const received = Buffer.from(header || "");
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Body sent to webhooks and summarised in emails
+function eventBody(delivery) {
+    return {
+        id: delivery.id,
+        evento: delivery.evento,
+        almacen: delivery.almacen,
+        fecha: new Date(delivery.created_at).toISOString(),
+        datos: delivery.payload
+    };
+}
+
+// POST a delivery to its webhook, resolves with the response status, rejects when
+// the endpoint cannot be reached or does not answer 2xx
+async function sendWebhook(delivery, secret, { timeoutMs }) {
+    const body = JSON.stringify(eventBody(delivery));
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const response = await fetch(delivery.destino, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            "X-Robo-Event": delivery.evento,
+            "X-Robo-Delivery": String(delivery.id),
+            "X-Robo-Timestamp": String(timestamp),
+            "X-Robo-Signature": `sha256=${signPayload(secret, timestamp, body)}`
+        },
+        body: body,
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+        const error = new Error(`Webhook answered ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return response.status;
+}
+
+// SMTP transport from the environment, null when SMTP_HOST is not set
+function createMailer(env) {
+    if (!env.SMTP_HOST) {
+        return null;
+    }
+    return nodemailer.createTransport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT || 587),
+        secure: env.SMTP_SECURE === "true",
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD } : undefined
+    });
+}
+
+function emailContent(delivery) {
+    const body = eventBody(delivery);
+    return {
+        subject: `[ROBOInventory] ${delivery.evento}${delivery.almacen ? ` (${delivery.almacen})` : ""}`,
+        text: [
+            `Evento: ${body.evento}`,
+            `Centro: ${body.almacen || "—"}`,
+            `Fecha: ${body.fecha}`,
+            "",
+            JSON.stringify(body.datos, null, 2)
+        ].join("\n")
+    };
+}
+
+function sendEmail(mailer, from, delivery) {
+    return mailer.sendMail({ from: from, to: delivery.destino, ...emailContent(delivery) });
+}
+
+module.exports = {
+    EVENTS,
+    CHANNELS,
+    newSecret,
+    parseSubscription,
+    validateDestination,
+    backoffSeconds,
+    signPayload,
+    verifySignature,
+    sendWebhook,
+    createMailer,
+    sendEmail
+};
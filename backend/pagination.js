@@ -0,0 +1,90 @@
+// Sorted, cursor-paginated listings.
+//
+// A listing is a FROM clause aliased as `c` (with an `id` column), the filters of
+// the request and a whitelist of sortable expressions. Pages are ordered by the
+// chosen expression and then by id, and the cursor is the position of the last row
+// of the previous page, so rows added meanwhile never shift or repeat a page.
+// Sort expressions must not be NULL (wrap them in COALESCE) for the cursor to work.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+function encodeCursor(sortKey, id) {
+    return Buffer.from(JSON.stringify([sortKey, id])).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+    try {
+        const value = JSON.parse(Buffer.from(cursor, "base64url").toString());
+        return Array.isArray(value) && value.length === 2 ? value : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Read sort, order, limit and cursor from the query string, { error } when invalid
+function parsePageQuery(query, sorts, defaultSort, defaultOrder = "asc") {
+    const sort = query.sort || defaultSort;
+    const order = (query.order || defaultOrder).toLowerCase();
+    const limit = query.limit !== undefined ? Number(query.limit) : DEFAULT_LIMIT;
+
+    if (!sorts[sort]) {
+        return { error: `sort must be one of ${Object.keys(sorts).join(", ")}` };
+    }
+    if (!["asc", "desc"].includes(order)) {
+        return { error: "order must be asc or desc" };
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+    }
+
+    let cursor = null;
+    if (query.cursor) {
+        cursor = decodeCursor(query.cursor);
+        if (!cursor) {
+            return { error: "Invalid cursor" };
+        }
+    }
+
+    return { sortExpression: sorts[sort], order, limit, cursor };
+}
+
+// Run one page of a listing, resolves with { items, total, nextCursor }
+async function fetchPage(db, { from, where, params, page }) {
+    const conditions = where.length > 0 ? where.join(" AND ") : "TRUE";
+    const { sortExpression, order, limit, cursor } = page;
+
+    const pageParams = [...params];
+    let pageCondition = "";
+    if (cursor) {
+        pageParams.push(cursor[0], cursor[1]);
+        pageCondition = ` AND (${sortExpression}, c.id) ${order === "asc" ? ">" : "<"} ($${pageParams.length - 1}, $${pageParams.length})`;
+    }
+
+    const [{ total }, rows] = await Promise.all([
+        db.one(`SELECT COUNT(*)::int AS total FROM ${from} WHERE ${conditions}`, params),
+        db.any(
+            `SELECT c.*, (${sortExpression})::text AS sort_key
+             FROM ${from}
+             WHERE ${conditions}${pageCondition}
+             ORDER BY ${sortExpression} ${order}, c.id ${order}
+             LIMIT ${limit + 1}`,
+            pageParams
+        )
+    ]);
+
+    const items = rows.slice(0, limit);
+    const last = items[items.length - 1];
+    const nextCursor = rows.length > limit ? encodeCursor(last.sort_key, last.id) : null;
+
+    return {
+        items: items.map(({ sort_key, ...item }) => item),
+        total: total,
+        nextCursor: nextCursor
+    };
+}
+
+module.exports = {
+    parsePageQuery,
+    fetchPage
+};
@@ -0,0 +1,123 @@
+// Product master data: the attributes an admin can edit and how they are checked.
+//
+// Every attribute has a parser that turns what came in a JSON body or a spreadsheet
+// cell into the value stored in the producto table, or reports why it cannot.
+// Empty values ("" or null) clear the optional attributes.
+
+const TEMPERATURES = ["ambiente", "refrigerado", "congelado"];
+
+const DEFAULTS = {
+    shelf_life: null,
+    cajas_por_palet: null,
+    peso_caja_kg: null,
+    largo_caja_cm: null,
+    ancho_caja_cm: null,
+    alto_caja_cm: null,
+    temperatura: "ambiente",
+    activo: true
+};
+
+function isEmpty(value) {
+    return value === null || value === undefined || value === "";
+}
+
+function text(name) {
+    return value => {
+        const result = isEmpty(value) ? "" : String(value).trim();
+        return result ? { value: result } : { error: `${name} is required` };
+    };
+}
+
+function positiveInteger(name) {
+    return value => {
+        if (isEmpty(value)) return { value: null };
+        const number = Number(value);
+        return Number.isInteger(number) && number > 0
+            ? { value: number }
+            : { error: `${name} must be a positive integer` };
+    };
+}
+
+function positiveNumber(name) {
+    return value => {
+        if (isEmpty(value)) return { value: null };
+        const number = Number(String(value).replace(",", "."));
+        return Number.isFinite(number) && number > 0
+            ? { value: number }
+            : { error: `${name} must be a positive number` };
+    };
+}
+
+function oneOf(name, options) {
+    return value => {
+        if (isEmpty(value)) return { value: DEFAULTS[name] };
+        const option = String(value).trim().toLowerCase();
+        return options.includes(option)
+            ? { value: option }
+            : { error: `${name} must be one of ${options.join(", ")}` };
+    };
+}
+
+function flag(name) {
+    return value => {
+        if (isEmpty(value)) return { value: DEFAULTS[name] };
+        if (typeof value === "boolean") return { value };
+        const option = String(value).trim().toLowerCase();
+        if (["true", "1", "si", "sí"].includes(option)) return { value: true };
+        if (["false", "0", "no"].includes(option)) return { value: false };
+        return { error: `${name} must be true or false` };
+    };
+}
+
+const FIELDS = {
+    producto: text("producto"),
+    shelf_life: positiveInteger("shelf_life"),
+    cajas_por_palet: positiveInteger("cajas_por_palet"),
+    peso_caja_kg: positiveNumber("peso_caja_kg"),
+    largo_caja_cm: positiveNumber("largo_caja_cm"),
+    ancho_caja_cm: positiveNumber("ancho_caja_cm"),
+    alto_caja_cm: positiveNumber("alto_caja_cm"),
+    temperatura: oneOf("temperatura", TEMPERATURES),
+    activo: flag("activo")
+};
+
+// Check the attributes of a product, returns { fields } or { errors }.
+// A full product needs producto and gets the defaults for what is missing; a
+// partial one only carries the attributes present in the input.
+function parseProduct(input, { partial = false } = {}) {
+    const fields = {};
+    const errors = [];
+
+    Object.entries(FIELDS).forEach(([name, parse]) => {
+        if (!(name in input)) {
+            if (partial) return;
+            if (name !== "producto") {
+                fields[name] = DEFAULTS[name];
+                return;
+            }
+        }
+        const result = parse(input[name]);
+        if (result.error) {
+            errors.push({ field: name, error: result.error });
+        } else {
+            fields[name] = result.value;
+        }
+    });
+
+    return errors.length > 0 ? { errors } : { fields };
+}
+
+// Whether a stored product already has these attribute values
+function sameProduct(stored, fields) {
+    return Object.entries(fields).every(([name, value]) => {
+        const current = FIELDS[name](stored[name]);
+        return current.value === value;
+    });
+}
+
+module.exports = {
+    TEMPERATURES,
+    FIELDS,
+    parseProduct,
+    sameProduct
+};
@@ -0,0 +1,264 @@
+// Message catalogue of the PR2A1 MQTT protocol.
+//
+// Every topic exchanged with the line is described once here: who publishes it,
+// the JSON Schema of its payload and, for devices that still send the old plain
+// payloads, how to turn those into the structured form. The backend and the line
+// simulator encode and decode through this module, and asyncapi.js builds the
+// published spec from the same definitions.
+//
+// Payloads carry the protocol version in `v`. Messages without it are accepted as
+// the current version (older devices), messages from a newer version are rejected.
+
+const Ajv = require("ajv");
+
+const PROTOCOL_VERSION = 1;
+
+const OPERATION_TYPES = ["entrada", "salida_particulares", "salida_centro"];
+const MODOS = ["paletizar", "despaletizar"];
+
+// Who publishes the message: the backend ('backend') or the line ('line').
+// Retained status topics keep their last value in the broker, so a restarted
+// backend reads the state of the line as soon as it subscribes.
+const MESSAGES = {
+    "PR2A1/acciones/directriz": {
+        publisher: "backend",
+        summary: "Starts an operation on the line",
+        payload: object({
+            accion: { type: "string", enum: OPERATION_TYPES },
+            cantidad: { type: "integer", minimum: 0, description: "Boxes to palletize, or to pick from the pallet on exits" },
+            posicion: { type: "integer", minimum: 1, description: "Storage position of the pallet" }
+        }, ["accion", "cantidad", "posicion"])
+    },
+    "PR2A1/acciones/conveyor_1": {
+        publisher: "backend",
+        summary: "Starts or stops the input conveyor",
+        payload: object({
+            accion: { type: "string", enum: ["marcha", "parada"] }
+        }, ["accion"])
+    },
+    "PR2A1/acciones/conveyor_2": {
+        publisher: "backend",
+        summary: "Starts or stops the output conveyor",
+        payload: object({
+            accion: { type: "string", enum: ["marcha", "parada"] }
+        }, ["accion"])
+    },
+    "PR2A1/acciones/paletizaje": {
+        publisher: "backend",
+        summary: "Starts, finishes or aborts a palletizing cycle",
+        payload: object({
+            accion: { type: "string", enum: ["inicio", "fin", "parada"] },
+            modo: { type: "string", enum: MODOS }
+        }, ["accion", "modo"])
+    },
+    "PR2A1/cobot/recogida": {
+        publisher: "backend",
+        summary: "Makes the cobot move one box, or stops it",
+        payload: object({
+            accion: { type: "string", enum: ["recoger", "parada"] },
+            modo: { type: "string", enum: MODOS }
+        }, ["accion"])
+    },
+    "PR2A1/avisos/caducidad": {
+        publisher: "backend",
+        summary: "A stored pallet has passed its expiry date",
+        payload: object({
+            id: { type: "integer", minimum: 1, description: "Reparto id" },
+            almacen: { type: "string" },
+            lectura: { type: "string", description: "Product code" },
+            posicion: { type: "integer", minimum: 1 },
+            caducidad: { type: "string", description: "Expiry date, ISO 8601" }
+        }, ["id", "almacen", "lectura", "posicion", "caducidad"])
+    },
+    "PR2A1/avisos/qr_rechazado": {
+        publisher: "backend",
+        summary: "A scanned pallet label was forged, altered or revoked",
+        payload: object({
+            origen: { type: "string", enum: ["mqtt", "api"], description: "Scanner at the station or manual entry" },
+            motivo: { type: "string", enum: ["sin_firma", "firma_invalida", "revocado", "no_encontrado", "no_coincide"] },
+            id: { type: "integer", minimum: 1, description: "Reparto id printed on the label, when there is one" }
+        }, ["origen", "motivo"])
+    },
+    "PR2A1/status/conveyor_1": {
+        publisher: "line",
+        retained: true,
+        summary: "State of the input conveyor",
+        payload: object({
+            estado: { type: "string", minLength: 1, description: "For example Marcha or Parado" }
+        }, ["estado"]),
+        legacy: (raw) => ({ estado: raw })
+    },
+    "PR2A1/status/conveyor_2": {
+        publisher: "line",
+        retained: true,
+        summary: "State of the output conveyor",
+        payload: object({
+            estado: { type: "string", minLength: 1, description: "For example Marcha or Parado" }
+        }, ["estado"]),
+        legacy: (raw) => ({ estado: raw })
+    },
+    "PR2A1/status/infrarrojos_1": {
+        publisher: "line",
+        summary: "Infrared sensor at the end of the input conveyor",
+        payload: object({
+            valor: { type: "integer", enum: [0, 1], description: "1 while a box is in front of the sensor" }
+        }, ["valor"]),
+        legacy: (raw) => ({ valor: raw })
+    },
+    "PR2A1/status/infrarrojos_2": {
+        publisher: "line",
+        summary: "Infrared sensor on the output conveyor",
+        payload: object({
+            valor: { type: "integer", enum: [0, 1], description: "1 while a box is in front of the sensor" }
+        }, ["valor"]),
+        legacy: (raw) => ({ valor: raw })
+    },
+    "PR2A1/status/agv": {
+        publisher: "line",
+        retained: true,
+        summary: "Position of the AGV and whether it carries a pallet",
+        payload: object({
+            ubicacion: { type: "integer", minimum: 0, description: "0 is the palletizing station" },
+            estado: { type: "string", enum: ["pick", "drop"], description: "pick while carrying a pallet" }
+        }, ["ubicacion", "estado"])
+    },
+    "PR2A1/avisos/parada_emergencia": {
+        publisher: "line",
+        summary: "Emergency stop pressed on the line",
+        payload: {
+            ...object({
+                origen: { type: "string" }
+            }, []),
+            additionalProperties: true
+        },
+        legacy: () => ({})
+    },
+    "PR2A1/avisos/QR": {
+        publisher: "line",
+        summary: "Pallet label read by the QR scanner at the station",
+        payload: {
+            ...object({
+                id: { type: "integer", minimum: 1, description: "Reparto id" },
+                lectura: { type: "string", description: "Product code" },
+                cantidad: { type: "integer", minimum: 0 },
+                iat: { type: "integer", minimum: 0, description: "Issue time of the label, milliseconds since the epoch" },
+                sig: { type: "string", description: "HMAC-SHA256 of id, lectura, cantidad and iat, base64url" }
+            }, []),
+            anyOf: [{ required: ["id"] }, { required: ["lectura"] }]
+        },
+        // The scanner wraps the label contents in a 'QR Code' string
+        unwrap: (data) => data && typeof data["QR Code"] === "string" ? JSON.parse(data["QR Code"]) : data
+    }
+};
+
+class ProtocolError extends Error {
+    constructor(topic, message) {
+        super(`${topic}: ${message}`);
+        this.name = "ProtocolError";
+        this.topic = topic;
+    }
+}
+
+// Outgoing messages must match exactly; incoming ones may carry numbers as strings
+const strictAjv = new Ajv({ allErrors: true });
+const lenientAjv = new Ajv({ allErrors: true, coerceTypes: true });
+
+const validators = {};
+Object.entries(MESSAGES).forEach(([topic, definition]) => {
+    validators[topic] = {
+        strict: strictAjv.compile(definition.payload),
+        lenient: lenientAjv.compile(definition.payload)
+    };
+});
+
+// Build the payload of a topic, throws ProtocolError when it does not match the schema
+function encode(topic, fields) {
+    const validator = validators[topic];
+    if (!validator) {
+        throw new ProtocolError(topic, "unknown topic");
+    }
+
+    const payload = { v: PROTOCOL_VERSION, ...fields };
+    if (!validator.strict(payload)) {
+        throw new ProtocolError(topic, strictAjv.errorsText(validator.strict.errors));
+    }
+    return JSON.stringify(payload);
+}
+
+// Parse and validate a received payload, throws ProtocolError when it is malformed
+function decode(topic, buffer) {
+    const definition = MESSAGES[topic];
+    if (!definition) {
+        throw new ProtocolError(topic, "unknown topic");
+    }
+
+    const raw = buffer.toString().trim();
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch (error) {
+        if (!definition.legacy) {
+            throw new ProtocolError(topic, "payload is not valid JSON");
+        }
+        data = raw;
+    }
+
+    // Plain values from older devices
+    if ((data === null || typeof data !== "object") && definition.legacy) {
+        data = definition.legacy(data);
+    }
+
+    if (definition.unwrap) {
+        try {
+            data = definition.unwrap(data);
+        } catch (error) {
+            throw new ProtocolError(topic, "wrapped payload is not valid JSON");
+        }
+    }
+
+    if (data === null || typeof data !== "object" || Array.isArray(data)) {
+        throw new ProtocolError(topic, "payload must be an object");
+    }
+
+    const message = { v: PROTOCOL_VERSION, ...data };
+    if (message.v > PROTOCOL_VERSION) {
+        throw new ProtocolError(topic, `unsupported protocol version ${message.v}`);
+    }
+
+    const validate = validators[topic].lenient;
+    if (!validate(message)) {
+        throw new ProtocolError(topic, lenientAjv.errorsText(validate.errors));
+    }
+    return message;
+}
+
+// Topics published by one side of the line
+function topicsPublishedBy(publisher) {
+    return Object.keys(MESSAGES).filter(topic => MESSAGES[topic].publisher === publisher);
+}
+
+function isRetained(topic) {
+    return MESSAGES[topic]?.retained === true;
+}
+
+function object(properties, required) {
+    return {
+        type: "object",
+        properties: {
+            v: { type: "integer", minimum: 1, description: "Protocol version" },
+            ...properties
+        },
+        required: ["v", ...required],
+        additionalProperties: false
+    };
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    MESSAGES,
+    ProtocolError,
+    encode,
+    decode,
+    topicsPublishedBy,
+    isRetained
+};
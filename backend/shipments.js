@@ -0,0 +1,80 @@
+// Shipment tracking: where a reparto comes from, who carries it and when it is due.
+//
+// A shipment is due fecha_prevista, the shipment date plus the lead time of its
+// route (plazo_entrega) unless the sender gives the date. Lead times are looked up
+// for the origin and destination pair first, then for the destination and any
+// origin (ANY_ORIGIN), and default to DEFAULT_LEAD_TIME_DAYS. The status of a
+// shipment is computed by the database, see REPARTO_SELECT in index.js.
+
+const ANY_ORIGIN = "*";
+
+const STATUSES = {
+    en_ruta: "On its way, due after today",
+    llega_hoy: "Due today",
+    retrasado: "Past its expected arrival date",
+    recibido: "Received in the centre"
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isEmpty(value) {
+    return value === null || value === undefined || value === "";
+}
+
+function optionalText(value) {
+    return isEmpty(value) ? null : String(value).trim() || null;
+}
+
+// Whether a value is a YYYY-MM-DD calendar date
+function isDate(value) {
+    if (typeof value !== "string" || !DATE_PATTERN.test(value)) {
+        return false;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+// Check the tracking fields sent with a shipment, returns { fields } or { error }.
+// All of them are optional, fecha_prevista is null when the lead time applies.
+function parseShipment(input) {
+    const fields = {
+        origen: optionalText(input.origen),
+        transportista: optionalText(input.transportista),
+        referencia: optionalText(input.referencia),
+        fecha_prevista: null
+    };
+
+    if (fields.origen === ANY_ORIGIN) {
+        return { error: `origen cannot be ${ANY_ORIGIN}` };
+    }
+    if (!isEmpty(input.fecha_prevista)) {
+        if (!isDate(input.fecha_prevista)) {
+            return { error: "fecha_prevista must be a date (YYYY-MM-DD)" };
+        }
+        fields.fecha_prevista = input.fecha_prevista;
+    }
+    return { fields };
+}
+
+// Check a lead time, returns { fields } or { error }. Without origen it applies to
+// any origin.
+function parseLeadTime(input) {
+    const destino = optionalText(input.destino);
+    if (!destino) {
+        return { error: "destino is required" };
+    }
+
+    const dias = Number(input.dias);
+    if (isEmpty(input.dias) || !Number.isInteger(dias) || dias < 0) {
+        return { error: "dias must be a non-negative integer" };
+    }
+
+    return { fields: { origen: optionalText(input.origen) || ANY_ORIGIN, destino, dias } };
+}
+
+module.exports = {
+    ANY_ORIGIN,
+    STATUSES,
+    parseShipment,
+    parseLeadTime
+};
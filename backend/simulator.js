@@ -0,0 +1,363 @@
+// Line simulator: emulates the conveyors, infrared sensors, cobot and AGV of the
+// physical cell so the whole backend can run without it.
+//
+// It listens to the same action topics as the real line and answers with the
+// status messages the backend expects, all going through the protocol catalogue:
+//
+//   entrada: directriz -> conveyor_1 marcha -> a box reaches infrarrojos_1, the cobot
+//            picks it and the next one arrives -> paletizaje fin -> the AGV carries the
+//            pallet from the station to its position and drops it.
+//   salida:  directriz -> the AGV picks the pallet at its position and brings it to the
+//            station -> every cobot recoger puts a box on conveyor 2 that passes
+//            infrarrojos_2 -> paletizaje fin -> the AGV takes the empty pallet back.
+//
+// Run it with `npm run simulate`. Settings come from the environment:
+//
+//   MQTT_BROKER / MQTT_USERNAME / MQTT_PASSWORD   broker to connect to
+//   SIM_BROKER_PORT        start an embedded Aedes broker on this port and use it
+//   SIM_BOX_INTERVAL_MS    time between boxes on conveyor 1 (default 1500)
+//   SIM_COBOT_PICK_MS      time the cobot needs to move a box (default 2000)
+//   SIM_CONVEYOR_MS        time a box needs to reach infrarrojos_2 (default 1000)
+//   SIM_SENSOR_PULSE_MS    time an infrared sensor stays active (default 300)
+//   SIM_AGV_STEP_MS        time the AGV needs to move one position (default 1000)
+//   SIM_DROPOUT_RATE       probability (0-1) that an infrared pulse is lost
+//   SIM_EMERGENCY_RATE     probability (0-1) that a directive ends in an emergency stop
+//   SIM_QR                 comma separated reparto ids to scan on startup
+//   SIM_BACKEND_URL        backend that issues the signed labels for SIM_QR (default http://localhost:3000)
+//   SIM_BACKEND_TOKEN      session token of an operator to ask for the labels, or
+//   SIM_BACKEND_USER / SIM_BACKEND_PASSWORD   operator account the simulator logs in with
+
+const mqtt = require("mqtt");
+const dotenv = require("dotenv");
+const protocol = require("./protocol");
+
+dotenv.config();
+
+const STATION_POSITION = 0;
+
+const DEFAULTS = {
+    brokerUrl: process.env.MQTT_BROKER,
+    username: process.env.MQTT_USERNAME,
+    password: process.env.MQTT_PASSWORD,
+    brokerPort: null,
+    backendUrl: process.env.SIM_BACKEND_URL || "http://localhost:3000",
+    backendToken: process.env.SIM_BACKEND_TOKEN,
+    backendUser: process.env.SIM_BACKEND_USER,
+    backendPassword: process.env.SIM_BACKEND_PASSWORD,
+    boxIntervalMs: 1500,
+    cobotPickMs: 2000,
+    conveyorMs: 1000,
+    sensorPulseMs: 300,
+    agvStepMs: 1000,
+    dropoutRate: 0,
+    emergencyRate: 0,
+    random: Math.random
+};
+
+// Start an in-process Aedes broker, resolves with a function that stops it
+async function startEmbeddedBroker(port) {
+    const net = require("net");
+    const { Aedes } = require("aedes");
+
+    const broker = await Aedes.createBroker();
+    const server = net.createServer(broker.handle);
+    await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, resolve);
+    });
+    console.log(`✅ Embedded MQTT broker listening on port ${port}`);
+
+    return () => new Promise(resolve => {
+        server.close(() => broker.close(resolve));
+    });
+}
+
+// Session token for the label routes, logging in when no token was given
+async function backendToken(config) {
+    if (config.backendToken) {
+        return config.backendToken;
+    }
+    if (!config.backendUser || !config.backendPassword) {
+        throw new Error("Set SIM_BACKEND_TOKEN or SIM_BACKEND_USER and SIM_BACKEND_PASSWORD to fetch labels");
+    }
+
+    const response = await fetch(`${config.backendUrl}/api/auth/login`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username: config.backendUser, password: config.backendPassword })
+    });
+    if (!response.ok) {
+        throw new Error(`Could not log in as ${config.backendUser}: HTTP ${response.status}`);
+    }
+    config.backendToken = (await response.json()).token;
+    return config.backendToken;
+}
+
+// Connect to the broker and start answering line actions
+async function startSimulator(options = {}) {
+    const config = { ...DEFAULTS, ...options };
+
+    let stopBroker = null;
+    if (config.brokerPort) {
+        stopBroker = await startEmbeddedBroker(config.brokerPort);
+        config.brokerUrl = `mqtt://localhost:${config.brokerPort}`;
+    }
+
+    const client = mqtt.connect(config.brokerUrl, {
+        username: config.username,
+        password: config.password
+    });
+
+    const line = {
+        job: null,
+        stopped: false,
+        agv: { ubicacion: STATION_POSITION, estado: "drop" },
+        infrared: { infrarrojos_1: 0, infrarrojos_2: 0 },
+        boxesLeft: 0,
+        timers: new Set()
+    };
+
+    // Timers are tracked so an emergency stop freezes the whole line
+    function later(ms, fn) {
+        const timer = setTimeout(() => {
+            line.timers.delete(timer);
+            if (!line.stopped) fn();
+        }, ms);
+        line.timers.add(timer);
+    }
+
+    function publish(topic, payload) {
+        const message = protocol.encode(topic, payload);
+        client.publish(topic, message, { qos: 1, retain: protocol.isRetained(topic) });
+        console.log(`📤 [Simulator] ${topic}: ${message}`);
+    }
+
+    function publishConveyor(number, status) {
+        publish(`PR2A1/status/conveyor_${number}`, { estado: status });
+    }
+
+    // A box passes in front of an infrared sensor, unless the sensor drops it
+    function pulseInfrared(sensor) {
+        if (config.random() < config.dropoutRate) {
+            console.log(`⚠️ [Simulator] Dropped ${sensor} pulse`);
+            return;
+        }
+        line.infrared[sensor] = 1;
+        publish(`PR2A1/status/${sensor}`, { valor: 1 });
+        later(config.sensorPulseMs, () => {
+            line.infrared[sensor] = 0;
+            publish(`PR2A1/status/${sensor}`, { valor: 0 });
+        });
+    }
+
+    // Drive the AGV one position at a time, publishing each step
+    function moveAgv(target, estado, done) {
+        if (line.agv.ubicacion === target) {
+            line.agv.estado = estado;
+            publish("PR2A1/status/agv", { ...line.agv });
+            if (done) done();
+            return;
+        }
+
+        later(config.agvStepMs, () => {
+            line.agv.ubicacion += line.agv.ubicacion < target ? 1 : -1;
+            // Still travelling: keep the load it had when it left
+            if (line.agv.ubicacion !== target) {
+                publish("PR2A1/status/agv", { ...line.agv });
+            }
+            moveAgv(target, estado, done);
+        });
+    }
+
+    function triggerEmergency() {
+        console.log("🚨 [Simulator] Injecting emergency stop");
+        publish("PR2A1/avisos/parada_emergencia", { origen: "simulador" });
+    }
+
+    function stopLine() {
+        line.stopped = true;
+        line.timers.forEach(timer => clearTimeout(timer));
+        line.timers.clear();
+        line.job = null;
+        publishConveyor(1, "Parado");
+        publishConveyor(2, "Parado");
+        console.log("🛑 [Simulator] Line stopped");
+    }
+
+    function handleDirective(directive) {
+        line.stopped = false;
+        line.job = {
+            accion: directive.accion,
+            cantidad: parseInt(directive.cantidad),
+            posicion: parseInt(directive.posicion)
+        };
+        line.boxesLeft = line.job.cantidad;
+        console.log(`▶️ [Simulator] ${line.job.accion} of ${line.job.cantidad} boxes at position ${line.job.posicion}`);
+
+        if (config.random() < config.emergencyRate) {
+            later(config.boxIntervalMs * (1 + config.random() * line.job.cantidad), triggerEmergency);
+        }
+
+        if (line.job.accion !== "entrada") {
+            // Fetch the full pallet and bring it to the station
+            line.agv.estado = "drop";
+            moveAgv(line.job.posicion, "pick", () => {
+                moveAgv(STATION_POSITION, "pick");
+            });
+        }
+    }
+
+    function handleConveyor(number, accion) {
+        if (accion === "marcha") {
+            publishConveyor(number, "Marcha");
+            if (number === 1 && line.job?.accion === "entrada" && line.boxesLeft > 0) {
+                later(config.boxIntervalMs, () => pulseInfrared("infrarrojos_1"));
+            }
+        } else if (accion === "parada") {
+            publishConveyor(number, "Parado");
+        }
+    }
+
+    function handleCobot(payload) {
+        if (!line.job) return;
+
+        if (payload.modo === "paletizar") {
+            // The box on conveyor 1 goes onto the pallet, the next one follows
+            line.boxesLeft -= 1;
+            if (line.boxesLeft > 0) {
+                later(config.cobotPickMs + config.boxIntervalMs, () => pulseInfrared("infrarrojos_1"));
+            }
+        } else if (payload.modo === "despaletizar") {
+            // The box leaves the pallet and runs along conveyor 2
+            line.boxesLeft -= 1;
+            later(config.cobotPickMs + config.conveyorMs, () => pulseInfrared("infrarrojos_2"));
+        }
+    }
+
+    function handlePaletizaje(payload) {
+        if (payload.accion === "parada") {
+            stopLine();
+            return;
+        }
+        if (payload.accion !== "fin" || !line.job) return;
+
+        // The pallet goes to (or back to) its storage position
+        const job = line.job;
+        line.agv.estado = "pick";
+        moveAgv(STATION_POSITION, "pick", () => {
+            moveAgv(job.posicion, "drop", () => {
+                console.log(`✅ [Simulator] ${job.accion} finished at position ${job.posicion}`);
+                line.job = null;
+            });
+        });
+    }
+
+    client.on("connect", () => {
+        console.log(`✅ [Simulator] Connected to MQTT broker: ${config.brokerUrl}`);
+        client.subscribe(protocol.topicsPublishedBy("backend"), (err) => {
+            if (err) {
+                console.error("❌ [Simulator] Error subscribing to topics:", err);
+            }
+        });
+
+        publishConveyor(1, "Parado");
+        publishConveyor(2, "Parado");
+        publish("PR2A1/status/agv", { ...line.agv });
+    });
+
+    client.on("error", (error) => {
+        console.error("❌ [Simulator] MQTT connection error:", error);
+    });
+
+    client.on("message", (topic, message) => {
+        let payload;
+        try {
+            payload = protocol.decode(topic, message);
+        } catch (error) {
+            console.error(`⚠️ [Simulator] Rejected malformed message on ${error.message}`);
+            return;
+        }
+
+        switch (topic) {
+            case "PR2A1/acciones/directriz":
+                handleDirective(payload);
+                break;
+            case "PR2A1/acciones/conveyor_1":
+                handleConveyor(1, payload.accion);
+                break;
+            case "PR2A1/acciones/conveyor_2":
+                handleConveyor(2, payload.accion);
+                break;
+            case "PR2A1/acciones/paletizaje":
+                handlePaletizaje(payload);
+                break;
+            case "PR2A1/cobot/recogida":
+                handleCobot(payload);
+                break;
+        }
+    });
+
+    return {
+        // Simulate the QR reader at the station scanning a pallet label. Labels are
+        // signed by the backend, so a bare id is turned into its label contents first
+        async scanQr(label) {
+            if (typeof label !== "object") {
+                const response = await fetch(`${config.backendUrl}/api/reparto/${label}/qr?format=json`, {
+                    headers: { Authorization: `Bearer ${await backendToken(config)}` }
+                });
+                if (!response.ok) {
+                    throw new Error(`No label for reparto ${label}: HTTP ${response.status}`);
+                }
+                label = await response.json();
+            }
+            publish("PR2A1/avisos/QR", label);
+        },
+        triggerEmergency,
+        state: line,
+        async stop() {
+            stopLine();
+            await new Promise(resolve => client.end(false, {}, resolve));
+            if (stopBroker) {
+                await stopBroker();
+            }
+        }
+    };
+}
+
+module.exports = {
+    startSimulator,
+    startEmbeddedBroker
+};
+
+if (require.main === module) {
+    const env = process.env;
+    startSimulator({
+        brokerPort: env.SIM_BROKER_PORT ? parseInt(env.SIM_BROKER_PORT) : null,
+        boxIntervalMs: parseInt(env.SIM_BOX_INTERVAL_MS || DEFAULTS.boxIntervalMs),
+        cobotPickMs: parseInt(env.SIM_COBOT_PICK_MS || DEFAULTS.cobotPickMs),
+        conveyorMs: parseInt(env.SIM_CONVEYOR_MS || DEFAULTS.conveyorMs),
+        sensorPulseMs: parseInt(env.SIM_SENSOR_PULSE_MS || DEFAULTS.sensorPulseMs),
+        agvStepMs: parseInt(env.SIM_AGV_STEP_MS || DEFAULTS.agvStepMs),
+        dropoutRate: parseFloat(env.SIM_DROPOUT_RATE || 0),
+        emergencyRate: parseFloat(env.SIM_EMERGENCY_RATE || 0)
+    })
+        .then(simulator => {
+            // Scan the requested labels once the backend had time to subscribe
+            const ids = (env.SIM_QR || "").split(",").filter(Boolean);
+            ids.forEach((id, index) => {
+                setTimeout(() => {
+                    simulator.scanQr(parseInt(id)).catch(error => {
+                        console.error("❌ [Simulator] Error scanning QR code:", error.message);
+                    });
+                }, 2000 * (index + 1));
+            });
+
+            process.on("SIGINT", () => {
+                simulator.stop().then(() => process.exit(0));
+            });
+        })
+        .catch(error => {
+            console.error("❌ [Simulator] Error starting simulator:", error);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,145 @@
+// Slotting: which free rack position an incoming pallet goes to.
+//
+// Positions are numbered 1..posiciones, the same numbers the AGV and the
+// directriz use. The layout of a centre says how they are arranged:
+//
+//   { filas: 2, niveles: 3, bloqueadas: [4] }
+//
+// Positions fill one row after another; inside a row they go up the levels of a
+// column before moving to the next column. Position 0 is the station, where
+// pallets enter and leave, in front of the first column of the first row.
+// Blocked positions are never handed out.
+
+const STRATEGIES = {
+    first_free: "Lowest free position",
+    nearest_agv: "Closest to where the AGV is now",
+    same_product: "Next to pallets of the same product",
+    expiry: "Pallets that expire sooner closer to the exit"
+};
+
+const DEFAULT_STRATEGY = "first_free";
+
+const DEFAULT_LAYOUT = { filas: 1, niveles: 1, bloqueadas: [] };
+
+// Changing row means going round the end of the rack
+const ROW_COST = 2;
+
+function normalizeLayout(layout) {
+    return { ...DEFAULT_LAYOUT, ...(layout || {}) };
+}
+
+// Error message for an invalid layout, or null when it can be used
+function validateLayout(layout, posiciones) {
+    if (layout === null || layout === undefined) return null;
+    if (typeof layout !== "object" || Array.isArray(layout)) return "layout must be an object";
+
+    const { filas, niveles, bloqueadas } = normalizeLayout(layout);
+    if (!Number.isInteger(filas) || filas < 1) return "layout.filas must be a positive integer";
+    if (!Number.isInteger(niveles) || niveles < 1) return "layout.niveles must be a positive integer";
+    if (!Array.isArray(bloqueadas)) return "layout.bloqueadas must be a list of positions";
+
+    const outside = bloqueadas.find(position => !Number.isInteger(position) || position < 1 || position > posiciones);
+    if (outside !== undefined) return `layout.bloqueadas: ${outside} is not a position between 1 and ${posiciones}`;
+    return null;
+}
+
+// Row, column and level of a position; the station sits before column 0 of row 0
+function coordinates(position, layout, posiciones) {
+    const { filas, niveles } = normalizeLayout(layout);
+    if (position <= 0) {
+        return { fila: 0, columna: -1, nivel: 0 };
+    }
+
+    const perRow = Math.ceil(posiciones / filas);
+    const index = position - 1;
+    const slot = index % perRow;
+    return {
+        fila: Math.floor(index / perRow),
+        columna: Math.floor(slot / niveles),
+        nivel: slot % niveles
+    };
+}
+
+// Moves needed to go from one position to another, raising the fork counts too
+function distance(from, to, layout, posiciones) {
+    const a = coordinates(from, layout, posiciones);
+    const b = coordinates(to, layout, posiciones);
+    return Math.abs(a.fila - b.fila) * ROW_COST + Math.abs(a.columna - b.columna) + Math.abs(a.nivel - b.nivel);
+}
+
+// Pick the position for a pallet, or null when there is no free one.
+//
+//   almacen:     { posiciones, layout, estrategia }
+//   occupied:    stored pallets, [{ location, lectura, fecha_caducidad }]
+//   pallet:      the incoming pallet, { lectura, fecha_caducidad }
+//   agvPosition: where the AGV is, the station when unknown
+function choosePosition({ almacen, occupied, pallet, agvPosition }) {
+    const posiciones = almacen.posiciones;
+    const layout = normalizeLayout(almacen.layout);
+    const taken = new Set(occupied.map(row => parseInt(row.location)));
+    const blocked = new Set(layout.bloqueadas);
+
+    const free = [];
+    for (let position = 1; position <= posiciones; position++) {
+        if (!taken.has(position) && !blocked.has(position)) {
+            free.push(position);
+        }
+    }
+    if (free.length === 0) {
+        return null;
+    }
+
+    const closestTo = (target) => nearest(free, position => distance(target, position, layout, posiciones));
+
+    switch (almacen.estrategia) {
+        case "nearest_agv":
+            return closestTo(agvPosition || 0);
+
+        case "same_product": {
+            const neighbours = occupied
+                .filter(row => row.lectura === pallet.lectura)
+                .map(row => parseInt(row.location));
+            if (neighbours.length === 0) {
+                return free[0];
+            }
+            return nearest(free, position =>
+                Math.min(...neighbours.map(other => distance(other, position, layout, posiciones))));
+        }
+
+        case "expiry": {
+            // Free positions from the exit backwards; the share of stock expiring
+            // before this pallet says how far back it goes
+            const byExit = [...free].sort((a, b) =>
+                distance(0, a, layout, posiciones) - distance(0, b, layout, posiciones) || a - b);
+            const expires = pallet.fecha_caducidad ? new Date(pallet.fecha_caducidad).getTime() : Infinity;
+            const sooner = occupied.filter(row =>
+                row.fecha_caducidad && new Date(row.fecha_caducidad).getTime() < expires).length;
+            return byExit[Math.floor(sooner / (occupied.length + 1) * byExit.length)];
+        }
+
+        default:
+            return free[0];
+    }
+}
+
+// Position with the lowest cost, the lowest number on ties
+function nearest(positions, cost) {
+    let best = null;
+    let bestCost = Infinity;
+    positions.forEach(position => {
+        const value = cost(position);
+        if (value < bestCost) {
+            best = position;
+            bestCost = value;
+        }
+    });
+    return best;
+}
+
+module.exports = {
+    STRATEGIES,
+    DEFAULT_STRATEGY,
+    validateLayout,
+    coordinates,
+    choosePosition
+};
@@ -0,0 +1,140 @@
+// CSV and XLSX files for the import and export routes.
+//
+// Exports take a list of columns, { key, header }, and plain row objects. Imports
+// return one object per data row keyed by the lowercased header of its column, so
+// "Shelf_Life" and "shelf_life" both end up as row.shelf_life.
+
+const ExcelJS = require("exceljs");
+
+const FORMATS = {
+    csv: "text/csv",
+    xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+};
+
+// Format of an uploaded file from its content type, null when unsupported
+function formatOf(contentType) {
+    const type = (contentType || "").split(";")[0].trim().toLowerCase();
+    if (type === FORMATS.xlsx) return "xlsx";
+    if (type === FORMATS.csv || type === "text/plain" || type === "application/csv") return "csv";
+    return null;
+}
+
+function csvValue(value) {
+    if (value === null || value === undefined) return "";
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+    const lines = [columns.map(column => csvValue(column.header)).join(",")];
+    rows.forEach(row => {
+        lines.push(columns.map(column => csvValue(row[column.key])).join(","));
+    });
+    return lines.join("\r\n") + "\r\n";
+}
+
+async function toXlsx(sheetName, columns, rows) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: column.width || 16 }));
+    sheet.getRow(1).font = { bold: true };
+    rows.forEach(row => sheet.addRow(row));
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Build the file of an export, resolves with { body, contentType }
+async function exportRows(format, sheetName, columns, rows) {
+    if (format === "xlsx") {
+        return { body: await toXlsx(sheetName, columns, rows), contentType: FORMATS.xlsx };
+    }
+    return { body: toCsv(columns, rows), contentType: `${FORMATS.csv}; charset=utf-8` };
+}
+
+// Split CSV text into rows of fields. Spreadsheets saved with a Spanish locale
+// use ';' as separator, so the header line decides which one the file uses.
+function parseCsv(text) {
+    const source = text.replace(/^\uFEFF/, "");
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && source[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    if (field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+async function parseXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, (excelRow) => {
+        const values = [];
+        for (let column = 1; column <= sheet.columnCount; column++) {
+            const value = excelRow.getCell(column).value;
+            // Formula cells keep their computed value in result
+            values.push(value !== null && typeof value === "object" && "result" in value ? value.result : value);
+        }
+        rows.push(values.map(value => value === null || value === undefined ? "" : String(value)));
+    });
+    return rows;
+}
+
+// Read an uploaded file into objects keyed by header. Each one carries the
+// spreadsheet row number in `_row` so errors can point at it.
+async function importRows(format, buffer) {
+    const table = format === "xlsx" ? await parseXlsx(buffer) : parseCsv(buffer.toString("utf8"));
+    if (table.length === 0) return [];
+
+    const headers = table[0].map(header => header.trim().toLowerCase());
+    return table.slice(1)
+        .map((values, index) => {
+            const row = { _row: index + 2 };
+            headers.forEach((header, column) => {
+                if (header) row[header] = (values[column] || "").trim();
+            });
+            return row;
+        })
+        .filter(row => headers.some(header => header && row[header] !== ""));
+}
+
+module.exports = {
+    FORMATS,
+    formatOf,
+    exportRows,
+    importRows
+};
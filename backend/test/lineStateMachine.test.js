@@ -0,0 +1,222 @@
+// Scripted MQTT sequences fed to the line state machine, see lineStateMachine.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    STATION_POSITION,
+    createOperation,
+    transition,
+    resumeOperation,
+    reconcileOperation
+} = require("../lineStateMachine");
+
+// Rising and falling edge of an infrared sensor, the way the line reports a box
+function box(sensor) {
+    return [
+        { source: sensor, value: 1, previous: 0 },
+        { source: sensor, value: 0, previous: 1 }
+    ];
+}
+
+function agv(ubicacion, estado) {
+    return { source: "agv", ubicacion, estado };
+}
+
+// Feed events in order, resolves with the last operation, the phases it went
+// through and every command it asked for
+function feed(start, events) {
+    let operation = start;
+    const phases = [start.phase];
+    const commands = [];
+
+    for (const event of events) {
+        const result = transition(operation, event);
+        operation = result.operation;
+        commands.push(...result.commands);
+        if (phases[phases.length - 1] !== operation.phase) {
+            phases.push(operation.phase);
+        }
+    }
+    return { operation, phases, commands };
+}
+
+function topics(commands) {
+    return commands.map(({ topic, payload }) => `${topic} ${payload.accion}`);
+}
+
+function salida(type, cantidad) {
+    return createOperation({ type, position: 3, cantidad, productId: "P1", almacen: "Vera", jobId: 7 });
+}
+
+test("entrada palletizes every box and stores the pallet", () => {
+    const { operation: start, commands: initial } = createOperation({
+        type: "entrada", position: 2, cantidad: "2", productId: "P1", almacen: "Vera", jobId: 1
+    });
+    assert.equal(start.phase, "palletizing");
+    assert.equal(start.pendingBoxes, 2);
+    assert.deepEqual(topics(initial), [
+        "PR2A1/acciones/conveyor_1 marcha",
+        "PR2A1/acciones/paletizaje inicio"
+    ]);
+
+    const { operation, phases, commands } = feed(start, [
+        ...box("infrarrojos_1"),
+        ...box("infrarrojos_1"),
+        agv(STATION_POSITION, "pick"),
+        agv(1, "pick"),
+        agv(2, "pick"),
+        agv(2, "drop")
+    ]);
+
+    assert.deepEqual(phases, ["palletizing", "storing", "done"]);
+    assert.equal(operation.pendingBoxes, 0);
+    assert.deepEqual(topics(commands), [
+        "PR2A1/cobot/recogida recoger",
+        "PR2A1/cobot/recogida recoger",
+        "PR2A1/acciones/conveyor_1 parada",
+        "PR2A1/acciones/paletizaje fin"
+    ]);
+});
+
+test("repeated infrared edges count a box once", () => {
+    const { operation: start } = createOperation({ type: "entrada", position: 2, cantidad: 2 });
+
+    const { operation, commands } = feed(start, [
+        { source: "infrarrojos_1", value: 1, previous: 0 },
+        { source: "infrarrojos_1", value: 1, previous: 1 },
+        { source: "infrarrojos_1", value: 1, previous: 1 },
+        { source: "infrarrojos_1", value: 0, previous: 1 },
+        { source: "infrarrojos_1", value: 0, previous: 0 }
+    ]);
+
+    assert.equal(operation.phase, "palletizing");
+    assert.equal(operation.pendingBoxes, 1);
+    assert.deepEqual(topics(commands), ["PR2A1/cobot/recogida recoger"]);
+});
+
+test("an entrada without boxes goes straight to storing", () => {
+    const { operation, commands } = createOperation({ type: "entrada", position: 4, cantidad: 0 });
+
+    assert.equal(operation.phase, "storing");
+    assert.equal(operation.agvTargetPosition, 4);
+    assert.deepEqual(topics(commands), [
+        "PR2A1/acciones/conveyor_1 marcha",
+        "PR2A1/acciones/paletizaje inicio",
+        "PR2A1/acciones/conveyor_1 parada",
+        "PR2A1/acciones/paletizaje fin"
+    ]);
+});
+
+for (const type of ["salida_particulares", "salida_centro"]) {
+    test(`${type} brings the pallet to the station, unloads it and takes it back`, () => {
+        const { operation: start, commands: initial } = salida(type, 2);
+        assert.equal(start.phase, "picking_from_storage");
+        assert.equal(start.agvTargetPosition, 3);
+        assert.deepEqual(initial, []);
+
+        const { operation, phases, commands } = feed(start, [
+            agv(1, "drop"),
+            agv(3, "pick"),
+            agv(2, "pick"),
+            agv(STATION_POSITION, "pick"),
+            ...box("infrarrojos_2"),
+            ...box("infrarrojos_2"),
+            agv(3, "drop")
+        ]);
+
+        assert.deepEqual(phases, ["picking_from_storage", "moving_to_station", "depalletizing", "returning_pallet", "done"]);
+        assert.deepEqual(topics(commands), [
+            "PR2A1/acciones/conveyor_2 marcha",
+            "PR2A1/acciones/paletizaje inicio",
+            "PR2A1/cobot/recogida recoger",
+            "PR2A1/cobot/recogida recoger",
+            "PR2A1/acciones/conveyor_2 parada",
+            "PR2A1/acciones/paletizaje fin"
+        ]);
+    });
+}
+
+test("a salida without boxes returns the pallet without picking", () => {
+    const { operation: start } = salida("salida_particulares", 0);
+
+    const { operation, phases, commands } = feed(start, [agv(3, "pick"), agv(STATION_POSITION, "pick")]);
+
+    assert.deepEqual(phases, ["picking_from_storage", "moving_to_station", "returning_pallet"]);
+    assert.equal(operation.agvTargetPosition, 3);
+    assert.deepEqual(topics(commands), [
+        "PR2A1/acciones/conveyor_2 marcha",
+        "PR2A1/acciones/paletizaje inicio",
+        "PR2A1/acciones/conveyor_2 parada",
+        "PR2A1/acciones/paletizaje fin"
+    ]);
+});
+
+test("AGV events with the wrong estado do not move the operation on", () => {
+    // Reaching the position without having picked the pallet up yet
+    const picking = feed(salida("salida_centro", 1).operation, [agv(3, "drop")]);
+    assert.equal(picking.operation.phase, "picking_from_storage");
+
+    // Passing by the storage position while still carrying the pallet
+    const { operation: entrada } = createOperation({ type: "entrada", position: 2, cantidad: 0 });
+    const storing = feed(entrada, [agv(2, "pick")]);
+    assert.equal(storing.operation.phase, "storing");
+
+    const { operation: returning } = feed(salida("salida_centro", 0).operation, [agv(3, "pick"), agv(0, "pick")]);
+    assert.equal(returning.phase, "returning_pallet");
+    assert.equal(feed(returning, [agv(3, "pick")]).operation.phase, "returning_pallet");
+    assert.equal(feed(returning, [agv(3, "drop")]).operation.phase, "done");
+});
+
+test("events meant for another phase are ignored", () => {
+    const { operation: start } = createOperation({ type: "entrada", position: 2, cantidad: 1 });
+
+    const { operation, commands } = feed(start, [...box("infrarrojos_2"), agv(2, "drop")]);
+
+    assert.equal(operation.phase, "palletizing");
+    assert.equal(operation.pendingBoxes, 1);
+    assert.deepEqual(commands, []);
+});
+
+test("transition leaves the given operation untouched", () => {
+    const { operation: start } = createOperation({ type: "entrada", position: 2, cantidad: 1 });
+    const snapshot = { ...start };
+
+    transition(start, box("infrarrojos_1")[0]);
+
+    assert.deepEqual(start, snapshot);
+});
+
+test("unknown operation types are rejected", () => {
+    assert.throws(() => createOperation({ type: "inventario", position: 1, cantidad: 1 }), /Unknown operation type/);
+});
+
+test("resuming sends the commands of the phase again and keeps the count", () => {
+    const { operation: start } = salida("salida_particulares", 3);
+    const { operation: stopped } = feed(start, [agv(3, "pick"), agv(0, "pick"), ...box("infrarrojos_2")]);
+    assert.equal(stopped.pendingBoxes, 2);
+
+    const { operation, commands } = resumeOperation(stopped);
+
+    assert.equal(operation.phase, "depalletizing");
+    assert.equal(operation.pendingBoxes, 2);
+    assert.deepEqual(topics(commands), [
+        "PR2A1/acciones/conveyor_2 marcha",
+        "PR2A1/acciones/paletizaje inicio",
+        "PR2A1/cobot/recogida recoger"
+    ]);
+});
+
+test("reconciliation only resumes phases that wait for the AGV", () => {
+    const { operation: palletizing } = createOperation({ type: "entrada", position: 2, cantidad: 2 });
+    assert.equal(reconcileOperation(palletizing, { ubicacion: 0, estado: "drop" }).resume, false);
+
+    const { operation: storing } = createOperation({ type: "entrada", position: 2, cantidad: 0 });
+    assert.equal(reconcileOperation(storing, null).resume, false);
+    // On its way with the pallet, or already there
+    assert.equal(reconcileOperation(storing, { ubicacion: 1, estado: "pick" }).resume, true);
+    assert.equal(reconcileOperation(storing, { ubicacion: 2, estado: "drop" }).resume, true);
+
+    const lost = reconcileOperation(storing, { ubicacion: 1, estado: "drop" });
+    assert.equal(lost.resume, false);
+    assert.match(lost.reason, /AGV is at 1 \(drop\) during phase storing/);
+});
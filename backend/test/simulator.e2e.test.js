@@ -0,0 +1,124 @@
+// End to end run of the line simulator on an embedded broker, driven by the line
+// state machine the same way index.js drives the physical line
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const mqtt = require("mqtt");
+const protocol = require("../protocol");
+const { startSimulator } = require("../simulator");
+const { createOperation, transition } = require("../lineStateMachine");
+
+// Short timings so a whole operation takes a fraction of a second
+const TIMINGS = {
+    boxIntervalMs: 20,
+    cobotPickMs: 20,
+    conveyorMs: 20,
+    sensorPulseMs: 10,
+    agvStepMs: 20
+};
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once("error", reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// Connect as the backend, resolves once the simulator has reported the AGV, so it
+// is subscribed to the action topics
+function connectBackend(port) {
+    return new Promise((resolve, reject) => {
+        const client = mqtt.connect(`mqtt://localhost:${port}`);
+        client.once("error", reject);
+        client.on("message", function ready(topic) {
+            if (topic === "PR2A1/status/agv") {
+                client.off("message", ready);
+                resolve(client);
+            }
+        });
+        client.subscribe(protocol.topicsPublishedBy("line"));
+    });
+}
+
+function publish(client, topic, payload) {
+    client.publish(topic, protocol.encode(topic, payload), { qos: 1 });
+}
+
+// Send the directive and the commands of the state machine, and feed it what the
+// simulator reports until the operation is done. Resolves with the phases it went through
+function runOperation(client, details) {
+    return new Promise((resolve, reject) => {
+        let { operation, commands } = createOperation(details);
+        const phases = [operation.phase];
+        const infrared = { infrarrojos_1: 0, infrarrojos_2: 0 };
+
+        function send(commands) {
+            commands.forEach(({ topic, payload }) => publish(client, topic, payload));
+        }
+
+        function onMessage(topic, buffer) {
+            let message;
+            try {
+                message = protocol.decode(topic, buffer);
+            } catch (error) {
+                client.off("message", onMessage);
+                reject(error);
+                return;
+            }
+
+            let event = null;
+            if (topic === "PR2A1/status/infrarrojos_1" || topic === "PR2A1/status/infrarrojos_2") {
+                const sensor = topic.split("/").pop();
+                event = { source: sensor, value: message.valor, previous: infrared[sensor] };
+                infrared[sensor] = message.valor;
+            } else if (topic === "PR2A1/status/agv" && operation.agvTargetPosition === message.ubicacion) {
+                event = { source: "agv", ubicacion: message.ubicacion, estado: message.estado };
+            }
+            if (!event) return;
+
+            const result = transition(operation, event);
+            operation = result.operation;
+            send(result.commands);
+            if (phases[phases.length - 1] !== operation.phase) {
+                phases.push(operation.phase);
+            }
+            if (operation.phase === "done") {
+                client.off("message", onMessage);
+                resolve(phases);
+            }
+        }
+
+        client.on("message", onMessage);
+        publish(client, "PR2A1/acciones/directriz", {
+            accion: details.type,
+            cantidad: details.cantidad,
+            posicion: details.position
+        });
+        send(commands);
+    });
+}
+
+test("the simulator takes an entrada and a salida to done", { timeout: 20000 }, async (t) => {
+    const port = await freePort();
+    const simulator = await startSimulator({ brokerPort: port, ...TIMINGS });
+    const client = await connectBackend(port);
+    t.after(async () => {
+        await new Promise(resolve => client.end(false, {}, resolve));
+        await simulator.stop();
+    });
+
+    const entrada = await runOperation(client, { type: "entrada", position: 2, cantidad: 3 });
+    assert.deepEqual(entrada, ["palletizing", "storing", "done"]);
+    assert.deepEqual(simulator.state.agv, { ubicacion: 2, estado: "drop" });
+    assert.equal(simulator.state.boxesLeft, 0);
+
+    const salida = await runOperation(client, { type: "salida_particulares", position: 2, cantidad: 2 });
+    assert.deepEqual(salida, ["picking_from_storage", "moving_to_station", "depalletizing", "returning_pallet", "done"]);
+    assert.deepEqual(simulator.state.agv, { ubicacion: 2, estado: "drop" });
+    assert.equal(simulator.state.boxesLeft, 0);
+});